@@ -0,0 +1,100 @@
+// ===================================
+//          ADAPTIVE QUALITY
+// ===================================
+// Watches the frame time and steps down through the quality levels when it
+// stays over budget, then back up once there is headroom again. Each level
+// trades something visible for speed, cheapest loss first: pixel ratio,
+// shadows, bloom resolution, how often the canvas screens are redrawn, the
+// neon's area lights, and finally bloom itself. `lighting` is a mode of
+// roomLighting.js.
+//
+// A vsync-capped display shows headroom at any level it can hold, so a level
+// that had to be left is retried later each time: the wait before stepping
+// back up to it doubles with every failure.
+import * as THREE from 'three';
+
+export const qualityLevels = [
+    { name: 'ultra', maxPixelRatio: Infinity, lighting: 'shadows', bloomScale: 1, canvasRate: 60, bloom: true },
+    { name: 'high', maxPixelRatio: 1.5, lighting: 'shadows', bloomScale: 1, canvasRate: 60, bloom: true },
+    { name: 'medium', maxPixelRatio: 1, lighting: 'area', bloomScale: 0.5, canvasRate: 30, bloom: true },
+    { name: 'low', maxPixelRatio: 1, lighting: 'basic', bloomScale: 0.35, canvasRate: 15, bloom: true },
+    { name: 'minimal', maxPixelRatio: 0.75, lighting: 'basic', bloomScale: 0.35, canvasRate: 10, bloom: false }
+];
+
+export function createAdaptiveQuality({
+    renderer,
+    composer,
+    bloomPass,
+    levels = qualityLevels,
+    budget = 1 / 45,        // seconds; slower frames count as over budget
+    headroom = 1 / 58,      // seconds; faster frames count as spare capacity
+    downgradeAfter = 2,     // seconds over budget before stepping down
+    upgradeAfter = 6,       // seconds of headroom before stepping back up
+    adaptive = true
+}) {
+    const controller = new THREE.EventDispatcher();
+    const size = new THREE.Vector2();
+    let level = 0;
+    let smoothed = 1 / 60;
+    let overBudget = 0;
+    let underBudget = 0;
+    let cooldown = 0;
+    const failures = levels.map(() => 0); // times each level was stepped down from
+
+    function apply() {
+        const settings = levels[level];
+        const pixelRatio = Math.min(window.devicePixelRatio, settings.maxPixelRatio);
+        renderer.setPixelRatio(pixelRatio);
+        composer.setPixelRatio(pixelRatio);
+        // composer.setPixelRatio resized the bloom to full resolution; scale it back down
+        renderer.getSize(size);
+        bloomPass.setSize(
+            Math.max(1, Math.round(size.x * pixelRatio * settings.bloomScale)),
+            Math.max(1, Math.round(size.y * pixelRatio * settings.bloomScale))
+        );
+        bloomPass.enabled = settings.bloom;
+        controller.dispatchEvent({ type: 'change', level, settings });
+    }
+
+    function setLevel(index) {
+        const next = THREE.MathUtils.clamp(index, 0, levels.length - 1);
+        overBudget = underBudget = 0;
+        cooldown = 1; // let the new level settle before judging it
+        if (next === level) return;
+        level = next;
+        apply();
+    }
+
+    // Fed the wall-clock frame time every frame
+    function update(delta) {
+        if (delta <= 0 || document.hidden) return;
+        smoothed += (delta - smoothed) * 0.1;
+        if (!adaptive) return;
+        if (cooldown > 0) {
+            cooldown -= delta;
+            return;
+        }
+        overBudget = smoothed > budget ? overBudget + delta : 0;
+        underBudget = smoothed < headroom ? underBudget + delta : 0;
+        if (overBudget > downgradeAfter && level < levels.length - 1) {
+            failures[level]++;
+            setLevel(level + 1);
+        } else if (level > 0 && underBudget > upgradeAfter * 2 ** failures[level - 1]) {
+            setLevel(level - 1);
+        }
+    }
+
+    Object.assign(controller, {
+        apply,
+        setLevel,
+        update,
+        setAdaptive(enabled) { adaptive = enabled; }
+    });
+    Object.defineProperties(controller, {
+        level: { get: () => level },
+        settings: { get: () => levels[level] },
+        frameTime: { get: () => smoothed },
+        isAdaptive: { get: () => adaptive }
+    });
+    return controller;
+}
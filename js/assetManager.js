@@ -0,0 +1,131 @@
+// ===================================
+//           ASSET MANAGER
+// ===================================
+// Loads textures through one THREE.LoadingManager, so a loading screen can
+// follow everything at once (see loadingScreen.js). Pass `manager` to other
+// loaders, e.g. new GLTFLoader(assets.manager), to count them in too.
+//
+// A texture is asked for by file name, without the resolution prefix
+// ('earth_daymap.jpg'), and looked for in this order:
+//   1. the local bundle in `localBase`, at the tier and then lower tiers
+//      ('assets/textures/4k_earth_daymap.jpg', then 2k_...)
+//   2. `remoteBase`, again from the tier down
+// The local bundle lists its files in `localBase` + manifest.json
+// ({ "files": ["2k_earth_daymap.jpg", ...] }), so missing files aren't
+// probed one request at a time. Full URLs are loaded as given.
+//
+// The texture is returned right away and filled in once an image arrives. If
+// every source fails it becomes a single pixel of `fallbackColor`, so a
+// planet that can't be loaded still shows its color.
+import * as THREE from 'three';
+
+export const textureTiers = ['2k', '4k', '8k'];
+
+const REMOTE_BASE = 'https://www.solarsystemscope.com/textures/download/';
+// Next to this module rather than the page, so a room embedded from another directory still finds it
+const LOCAL_BASE = new URL('../assets/textures/', import.meta.url).href;
+
+// The largest tier the device should hold: 8k only on desktops with memory to
+// spare, 2k where the GPU or the memory is small. navigator.deviceMemory is
+// only reported by Chromium browsers.
+export function pickTextureTier(renderer = null) {
+    const maxTextureSize = renderer && renderer.capabilities.maxTextureSize || 4096;
+    const memory = navigator.deviceMemory;
+    const coarse = window.matchMedia ? window.matchMedia('(pointer: coarse)').matches : false;
+    if (maxTextureSize >= 8192 && memory >= 8 && !coarse) return '8k';
+    if (maxTextureSize >= 4096 && !(memory < 4)) return '4k';
+    return '2k';
+}
+
+// A single pixel of color, standing in for a texture that could not be loaded
+function fillWithColor(texture, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    const context = canvas.getContext('2d');
+    context.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+    context.fillRect(0, 0, 1, 1);
+    texture.image = canvas;
+    texture.needsUpdate = true;
+}
+
+export function createAssetManager({
+    renderer = null,            // for the device's texture size limit
+    tier = null,                // '2k', '4k' or '8k'; null picks one for the device
+    localBase = LOCAL_BASE,
+    remoteBase = REMOTE_BASE    // null stays offline
+} = {}) {
+    if (tier && !textureTiers.includes(tier)) throw new Error(`Unknown texture tier "${tier}" (${textureTiers.join(', ')}).`);
+    const assets = new THREE.EventDispatcher();
+    const manager = new THREE.LoadingManager();
+    // Attempts go through a loader of their own; only whole assets count as progress
+    const imageLoader = new THREE.ImageLoader(new THREE.LoadingManager());
+    let localFiles = null;
+    let pending = 0;
+    tier = tier || pickTextureTier(renderer);
+
+    manager.onStart = (url, loaded, total) => assets.dispatchEvent({ type: 'start', url, loaded, total });
+    manager.onProgress = (url, loaded, total) => assets.dispatchEvent({ type: 'progress', url, loaded, total });
+    manager.onLoad = () => assets.dispatchEvent({ type: 'load' });
+    manager.onError = url => assets.dispatchEvent({ type: 'error', url });
+
+    // Read once; a missing manifest means an empty bundle
+    function loadManifest() {
+        if (!localFiles) {
+            localFiles = fetch(`${localBase}manifest.json`)
+                .then(response => (response.ok ? response.json() : { files: [] }))
+                .then(manifest => new Set(manifest.files || []))
+                .catch(() => new Set());
+        }
+        return localFiles;
+    }
+
+    async function sourcesFor(file, wanted) {
+        if (/^(https?:|data:|blob:)/.test(file) || file.includes('/')) return [file];
+        const tiers = textureTiers.slice(0, textureTiers.indexOf(wanted) + 1).reverse();
+        const bundled = await loadManifest();
+        const local = tiers.map(prefix => `${prefix}_${file}`).concat(file)
+            .filter(name => bundled.has(name))
+            .map(name => localBase + name);
+        const remote = remoteBase ? tiers.map(prefix => `${remoteBase}${prefix}_${file}`) : [];
+        return local.concat(remote);
+    }
+
+    function loadImage(url) {
+        return new Promise((resolve, reject) => imageLoader.load(url, resolve, undefined, reject));
+    }
+
+    // fallbackColor: what the texture shows if no source can be loaded
+    function loadTexture(file, { fallbackColor = 0x888888, tier: wanted = tier } = {}) {
+        const texture = new THREE.Texture();
+        texture.name = file;
+        pending++;
+        manager.itemStart(file);
+        (async () => {
+            const tried = [];
+            for (const url of await sourcesFor(file, wanted)) {
+                try {
+                    texture.image = await loadImage(url);
+                    texture.needsUpdate = true;
+                    return;
+                } catch (error) {
+                    tried.push(url);
+                }
+            }
+            console.warn(`Could not load texture ${file} (tried ${tried.join(', ') || 'nothing'}). Using its fallback color.`);
+            fillWithColor(texture, fallbackColor);
+            manager.itemError(file);
+        })().finally(() => {
+            pending--;
+            manager.itemEnd(file);
+        });
+        return texture;
+    }
+
+    Object.assign(assets, { manager, loadTexture });
+    Object.defineProperties(assets, {
+        tier: { get: () => tier },
+        isLoading: { get: () => pending > 0 }
+    });
+    return assets;
+}
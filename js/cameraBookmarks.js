@@ -0,0 +1,94 @@
+// ===================================
+//          CAMERA BOOKMARKS
+// ===================================
+// Named views (camera position plus orbit target), usually listed under
+// "bookmarks" in the room document:
+//
+//   "bookmarks": [
+//       { "name": "overview", "position": [0, -1, 10], "target": [0, 0, 0] },
+//       { "name": "window", "position": [-2.5, 0, -4], "target": [-5, 1, -10.8] }
+//   ]
+//
+// The first nine are bound to the number keys: 1-9 flies to a bookmark,
+// Shift+1-9 overwrites it with the current view (or adds a new one when the
+// slot is empty). Dispatches 'navigate' before flying and 'change' when the
+// list changes.
+import * as THREE from 'three';
+
+// Accepts arrays or vectors, returns { name, position, target } with Vector3s
+function toView(name, view) {
+    const vector = value => (value.isVector3 ? value.clone() : new THREE.Vector3().fromArray(value));
+    if (!view || !view.position || !view.target) throw new Error(`Bookmark "${name}" needs a position and a target.`);
+    return { name, position: vector(view.position), target: vector(view.target) };
+}
+
+export function createBookmarks({ cameraTween, bookmarks = [], duration = 1.5, keys = true, keyTarget = document }) {
+    const bookmarker = new THREE.EventDispatcher();
+    const list = [];
+
+    function add(name, view) {
+        const bookmark = toView(name, view);
+        const index = list.findIndex(other => other.name === name);
+        if (index === -1) list.push(bookmark);
+        else list[index] = bookmark;
+        bookmarker.dispatchEvent({ type: 'change', bookmarks: list });
+        return bookmark;
+    }
+
+    function remove(name) {
+        const index = list.findIndex(bookmark => bookmark.name === name);
+        if (index === -1) return false;
+        list.splice(index, 1);
+        bookmarker.dispatchEvent({ type: 'change', bookmarks: list });
+        return true;
+    }
+
+    // By name or by position in the list
+    function get(nameOrIndex) {
+        return typeof nameOrIndex === 'number' ? list[nameOrIndex] : list.find(bookmark => bookmark.name === nameOrIndex);
+    }
+
+    function goTo(nameOrIndex, { duration: seconds = duration, onComplete = null } = {}) {
+        const bookmark = get(nameOrIndex);
+        if (!bookmark) {
+            console.warn(`No camera bookmark "${nameOrIndex}".`);
+            return false;
+        }
+        bookmarker.dispatchEvent({ type: 'navigate', bookmark });
+        cameraTween.flyTo(bookmark, { duration: seconds, onComplete });
+        return true;
+    }
+
+    // Saves the current view; into an existing slot when given its index
+    function save(nameOrIndex) {
+        const existing = typeof nameOrIndex === 'number' ? list[nameOrIndex] : null;
+        const name = existing ? existing.name : String(nameOrIndex ?? `view${list.length + 1}`);
+        return add(name, cameraTween.getView());
+    }
+
+    // --- Number keys ---
+    function onKeyDown(event) {
+        if (!bookmarker.enabled || event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target && event.target.isContentEditable) return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target && event.target.tagName)) return;
+        const match = /^Digit([1-9])$/.exec(event.code);
+        if (!match) return;
+        const index = Number(match[1]) - 1;
+        if (event.shiftKey) save(list[index] ? index : `view${index + 1}`);
+        else goTo(index);
+    }
+    if (keys) keyTarget.addEventListener('keydown', onKeyDown);
+
+    function dispose() {
+        keyTarget.removeEventListener('keydown', onKeyDown);
+    }
+
+    bookmarks.forEach(bookmark => add(bookmark.name, bookmark));
+
+    Object.assign(bookmarker, { enabled: true, add, remove, get, goTo, save, dispose });
+    Object.defineProperties(bookmarker, {
+        list: { get: () => list.slice() },
+        names: { get: () => list.map(bookmark => bookmark.name) }
+    });
+    return bookmarker;
+}
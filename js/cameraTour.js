@@ -0,0 +1,209 @@
+// ===================================
+//            CAMERA TOURS
+// ===================================
+// Flies the camera along a spline through a list of stops, holding at each,
+// for kiosk displays. A tour is plain JSON, kept under "tours" in the room
+// document or in a file of its own:
+//
+//   {
+//       "loop": true,           // close the spline and go round forever
+//       "travel": 4,            // default seconds to reach each stop
+//       "hold": 3,              // default seconds to stay there
+//       "resumeAfter": 30,      // restart this long after user input stopped it
+//       "stops": [
+//           "overview",                                   // a bookmark name
+//           { "bookmark": "window", "hold": 6 },
+//           { "position": [2, -1, 4], "target": [-11, -3, 2], "travel": 5 }
+//       ]
+//   }
+//
+// T starts the first tour and stops a running one. Any other key press, click
+// or scroll hands the camera back to the user. Dispatches 'start', 'arrive' ({ index, stop }) and 'stop' ({ reason }).
+import * as THREE from 'three';
+import { easeInOutCubic } from './cameraTween.js';
+
+export async function loadTourDocument(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load tour ${url} (HTTP ${response.status})`);
+    return response.json();
+}
+
+export function createCameraTour({ camera, controls, domElement, bookmarks, tours = {}, stopOnInput = true, toggleKey = 'KeyT', keyTarget = document }) {
+    const tour = new THREE.EventDispatcher();
+    const definitions = new Map(Object.entries(tours));
+    const fromPosition = new THREE.Vector3();
+    const fromTarget = new THREE.Vector3();
+    let active = null;          // { name, definition, stops, closed, positions, targets }
+    let index = 0;              // the stop being travelled to or held at
+    let phase = 'travel';       // 'travel' | 'hold'
+    let phaseTime = 0;
+    let approaching = false;    // the first leg runs straight from wherever the camera was
+    let controlsWereEnabled = true;
+    let resume = null;          // { tour, delay, remaining } after user input interrupted a tour
+
+    function define(name, definition) {
+        definitions.set(name, definition);
+    }
+
+    function resolveStop(entry, definition) {
+        const spec = typeof entry === 'string' ? { bookmark: entry } : entry;
+        let view = spec;
+        if (spec.bookmark) {
+            view = bookmarks && bookmarks.get(spec.bookmark);
+            if (!view) throw new Error(`Tour stop refers to unknown bookmark "${spec.bookmark}".`);
+        }
+        if (!view.position || !view.target) throw new Error('Tour stops need a bookmark or a position and a target.');
+        const vector = value => (value.isVector3 ? value.clone() : new THREE.Vector3().fromArray(value));
+        return {
+            name: spec.bookmark || spec.name || null,
+            position: vector(view.position),
+            target: vector(view.target),
+            travel: spec.travel ?? definition.travel ?? 4,
+            hold: spec.hold ?? definition.hold ?? 3
+        };
+    }
+
+    function start(nameOrDefinition) {
+        const name = typeof nameOrDefinition === 'string' ? nameOrDefinition : null;
+        const definition = name ? definitions.get(name) : nameOrDefinition;
+        if (!definition) throw new Error(`Unknown tour "${nameOrDefinition}".`);
+        const stops = (definition.stops || []).map(entry => resolveStop(entry, definition));
+        if (stops.length === 0) throw new Error('A tour needs at least one stop.');
+        // Three or more stops make a closed spline; fewer just fly back to the start
+        const closed = Boolean(definition.loop) && stops.length > 2;
+        // Listeners may hand the camera back from other modes before it is taken over
+        tour.dispatchEvent({ type: 'start', name });
+        if (!active) controlsWereEnabled = controls.enabled;
+        active = {
+            name,
+            definition,
+            stops,
+            closed,
+            positions: new THREE.CatmullRomCurve3(stops.map(stop => stop.position), closed, 'centripetal'),
+            targets: new THREE.CatmullRomCurve3(stops.map(stop => stop.target), closed, 'centripetal')
+        };
+        resume = null;
+        index = 0;
+        phase = 'travel';
+        phaseTime = 0;
+        approaching = true;
+        fromPosition.copy(camera.position);
+        fromTarget.copy(controls.target);
+        controls.enabled = false;
+    }
+
+    function finish(reason) {
+        if (!active) return;
+        const { name, definition } = active;
+        active = null;
+        controls.enabled = controlsWereEnabled;
+        if (reason === 'input' && definition.resumeAfter) {
+            resume = { tour: name || definition, delay: definition.resumeAfter, remaining: definition.resumeAfter };
+        }
+        tour.dispatchEvent({ type: 'stop', name, reason });
+    }
+
+    function stop() {
+        resume = null;
+        finish('stopped');
+    }
+
+    function segments() {
+        return active.closed ? active.stops.length : active.stops.length - 1;
+    }
+
+    function update(delta) {
+        if (resume) {
+            resume.remaining -= delta;
+            if (resume.remaining <= 0) start(resume.tour);
+            return;
+        }
+        if (!active) return;
+        phaseTime += delta;
+        const stop = active.stops[index];
+
+        if (phase === 'travel') {
+            const s = easeInOutCubic(Math.min(phaseTime / Math.max(stop.travel, 0.0001), 1));
+            if (approaching) {
+                camera.position.lerpVectors(fromPosition, stop.position, s);
+                controls.target.lerpVectors(fromTarget, stop.target, s);
+            } else {
+                // Leg from the previous stop to this one along the spline
+                const previous = (index - 1 + active.stops.length) % active.stops.length;
+                const t = (previous + s) / segments();
+                active.positions.getPoint(Math.min(t, 1), camera.position);
+                active.targets.getPoint(Math.min(t, 1), controls.target);
+            }
+            camera.lookAt(controls.target);
+            if (phaseTime >= stop.travel) {
+                phase = 'hold';
+                phaseTime = 0;
+                approaching = false;
+                tour.dispatchEvent({ type: 'arrive', index, stop });
+            }
+            return;
+        }
+
+        if (phaseTime < stop.hold) return;
+        if (index === active.stops.length - 1 && !active.definition.loop) {
+            finish('end');
+            return;
+        }
+        index = (index + 1) % active.stops.length;
+        if (index === 0 && !active.closed) approaching = true;
+        if (approaching) {
+            fromPosition.copy(camera.position);
+            fromTarget.copy(controls.target);
+        }
+        phase = 'travel';
+        phaseTime = 0;
+    }
+
+    function toggle(name = definitions.keys().next().value) {
+        if (active || resume) stop();
+        else if (name) start(name);
+    }
+
+    // --- User input ends the tour ---
+    // Also callable by other camera movers, so the tour lets go before they start
+    function interrupt() {
+        if (!stopOnInput) return;
+        if (active) finish('input');
+        else if (resume) resume.remaining = resume.delay;
+    }
+
+    function onKeyDown(event) {
+        // Keys already taken by the terminal
+        if (event.defaultPrevented) return;
+        if (event.code === toggleKey && !event.repeat && !event.ctrlKey && !event.metaKey) toggle();
+        else interrupt();
+    }
+    domElement.addEventListener('pointerdown', interrupt);
+    domElement.addEventListener('wheel', interrupt, { passive: true });
+    // Capture phase, so the tour has let go of the camera before walk mode or a
+    // bookmark takes it
+    keyTarget.addEventListener('keydown', onKeyDown, true);
+
+    function dispose() {
+        stop();
+        domElement.removeEventListener('pointerdown', interrupt);
+        domElement.removeEventListener('wheel', interrupt);
+        keyTarget.removeEventListener('keydown', onKeyDown, true);
+    }
+
+    Object.assign(tour, {
+        define,
+        start,
+        stop,
+        toggle,
+        interrupt,
+        update,
+        dispose
+    });
+    Object.defineProperties(tour, {
+        isRunning: { get: () => active !== null },
+        current: { get: () => (active ? active.name : null) },
+        names: { get: () => [...definitions.keys()] }
+    });
+    return tour;
+}
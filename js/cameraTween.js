@@ -0,0 +1,67 @@
+// ===================================
+//          CAMERA TRANSITIONS
+// ===================================
+// Smoothly moves the camera and the OrbitControls target to a new view.
+// Mouse input is switched off while the camera is flying.
+import * as THREE from 'three';
+
+export const easeInOutCubic = t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+export function createCameraTween(camera, controls) {
+    const fromPosition = new THREE.Vector3();
+    const fromTarget = new THREE.Vector3();
+    const toPosition = new THREE.Vector3();
+    const toTarget = new THREE.Vector3();
+    let duration = 0;
+    let elapsed = 0;
+    let running = false;
+    let controlsWereEnabled = true;
+    let onComplete = null;
+
+    // The current view, in the shape flyTo() takes
+    function getView() {
+        return { position: camera.position.clone(), target: controls.target.clone() };
+    }
+
+    function flyTo(view, { duration: seconds = 1, onComplete: done = null } = {}) {
+        if (!running) controlsWereEnabled = controls.enabled;
+        fromPosition.copy(camera.position);
+        fromTarget.copy(controls.target);
+        toPosition.copy(view.position);
+        toTarget.copy(view.target);
+        duration = Math.max(seconds, 0.0001);
+        elapsed = 0;
+        running = true;
+        onComplete = done;
+        controls.enabled = false;
+    }
+
+    function stop() {
+        if (!running) return;
+        running = false;
+        controls.enabled = controlsWereEnabled;
+    }
+
+    function update(delta) {
+        if (!running) return;
+        elapsed = Math.min(elapsed + delta, duration);
+        const t = easeInOutCubic(elapsed / duration);
+        camera.position.lerpVectors(fromPosition, toPosition, t);
+        controls.target.lerpVectors(fromTarget, toTarget, t);
+        camera.lookAt(controls.target);
+        if (elapsed >= duration) {
+            stop();
+            const done = onComplete;
+            onComplete = null;
+            if (done) done();
+        }
+    }
+
+    return {
+        flyTo,
+        stop,
+        update,
+        getView,
+        get isRunning() { return running; }
+    };
+}
@@ -0,0 +1,200 @@
+// ===================================
+//       SCREENSHOTS & VIDEO EXPORT
+// ===================================
+// Renders the full EffectComposer output (bloom included) at a resolution of
+// your choosing, independent of the window size.
+//
+//   capture.screenshot({ width: 3840, height: 2160 })      -> PNG Blob
+//   capture.recordTurntable({ frames: 240, fps: 60 })      -> WebM Blob
+//   capture.recordPath({ path, format: 'png-zip' })        -> zip of PNGs
+//
+// Recordings stop the live loop and step the scheduler by exactly 1 / fps
+// per frame, so every run of the same path produces the same frames.
+import * as THREE from 'three';
+import { zipSync } from 'three/addons/libs/fflate.module.js';
+
+const canvasToBlob = (canvas, type = 'image/png') => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the canvas.'))), type);
+});
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+export function createCapture({ renderer, composer, camera, controls, scheduler, bloomPass, quality = null }) {
+    const canvas = renderer.domElement;
+    let busy = false;
+
+    // Resizes the drawing buffer, not the canvas on the page
+    function clampSize(width, height) {
+        const max = renderer.capabilities.maxTextureSize;
+        const scale = Math.min(1, max / width, max / height);
+        if (scale < 1) console.warn(`Capture size ${width}x${height} exceeds this GPU's limit of ${max}px; scaling down.`);
+        return [Math.floor(width * scale), Math.floor(height * scale)];
+    }
+
+    // Sets the renderer up for an offscreen-sized capture and returns a function that undoes it
+    function beginCapture(width, height) {
+        if (busy) throw new Error('A capture is already running.');
+        busy = true;
+        const size = renderer.getSize(new THREE.Vector2());
+        const pixelRatio = renderer.getPixelRatio();
+        const aspect = camera.aspect;
+        const bloomEnabled = bloomPass.enabled;
+        const wasRunning = scheduler.isRunning;
+        const wasAdaptive = quality ? quality.isAdaptive : false;
+
+        scheduler.stop();
+        // Stepped frames must not trip a quality change halfway through
+        if (quality) quality.setAdaptive(false);
+        [width, height] = clampSize(width, height);
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+        composer.setPixelRatio(1);
+        composer.setSize(width, height);
+        bloomPass.enabled = true;
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+
+        return () => {
+            renderer.setPixelRatio(pixelRatio);
+            renderer.setSize(size.x, size.y, false);
+            composer.setPixelRatio(pixelRatio);
+            composer.setSize(size.x, size.y);
+            bloomPass.enabled = bloomEnabled;
+            camera.aspect = aspect;
+            camera.updateProjectionMatrix();
+            // The quality level owns the live pixel ratio and bloom resolution
+            if (quality) {
+                quality.setAdaptive(wasAdaptive);
+                quality.apply();
+            }
+            if (wasRunning) scheduler.start();
+            busy = false;
+        };
+    }
+
+    // --- Stills ---
+    async function screenshot({ width = 3840, height = 2160, download = false, filename = `scifi-room-${timestamp()}.png` } = {}) {
+        const end = beginCapture(width, height);
+        try {
+            // A zero-length step, so everything that renders per frame (the
+            // render task, offscreen views) sees the capture size
+            scheduler.step(0);
+            // Encode before the browser gets a chance to clear the drawing buffer
+            const blob = await canvasToBlob(canvas);
+            if (download) downloadBlob(blob, filename);
+            return blob;
+        } finally {
+            end();
+        }
+    }
+
+    // --- Sequences ---
+    // path(t) returns { position, target } for t in [0, 1)
+    async function recordPath({
+        path,
+        frames = 240,
+        fps = 60,
+        width = 1920,
+        height = 1080,
+        format = 'webm',
+        download = false,
+        filename = `scifi-room-${timestamp()}.${format === 'webm' ? 'webm' : 'zip'}`,
+        onProgress = null
+    }) {
+        if (format !== 'webm' && format !== 'png-zip') throw new Error(`Unknown recording format "${format}" (use "webm" or "png-zip").`);
+        // Checked before the room is frozen; Safari, for one, can't record WebM
+        if (format === 'webm' && !(typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported('video/webm'))) {
+            throw new Error('This browser cannot record WebM video; use format "png-zip" instead.');
+        }
+        const savedView = { position: camera.position.clone(), target: controls.target.clone() };
+        const damping = controls.enableDamping;
+        const end = beginCapture(width, height);
+        controls.enableDamping = false;
+
+        let recorder = null;
+        let track = null;
+        const chunks = [];
+        const pngs = {};
+        try {
+            if (format === 'webm') {
+                const stream = canvas.captureStream(0);
+                track = stream.getVideoTracks()[0];
+                recorder = new MediaRecorder(stream, { mimeType: 'video/webm', videoBitsPerSecond: 16e6 });
+                recorder.ondataavailable = event => chunks.push(event.data);
+                recorder.start();
+            }
+            for (let i = 0; i < frames; i++) {
+                const view = path(i / frames);
+                camera.position.copy(view.position);
+                controls.target.copy(view.target);
+                camera.lookAt(controls.target);
+                // One fixed step of every animated subsystem, then the render task
+                scheduler.step(1 / fps);
+                if (format === 'webm') {
+                    track.requestFrame();
+                    // MediaRecorder timestamps frames by wall clock, so hand them over in real time
+                    await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+                } else {
+                    const blob = await canvasToBlob(canvas);
+                    pngs[`frame_${String(i).padStart(5, '0')}.png`] = new Uint8Array(await blob.arrayBuffer());
+                }
+                if (onProgress) onProgress(i + 1, frames);
+            }
+        } catch (error) {
+            // Whatever got set up is dropped; the room is put back below either way
+            if (recorder && recorder.state !== 'inactive') recorder.stop();
+            if (track) track.stop();
+            throw error;
+        } finally {
+            camera.position.copy(savedView.position);
+            controls.target.copy(savedView.target);
+            controls.enableDamping = damping;
+            end();
+        }
+
+        let blob;
+        if (format === 'webm') {
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+            recorder.stop();
+            await stopped;
+            blob = new Blob(chunks, { type: 'video/webm' });
+        } else {
+            // PNGs are already compressed; storing them keeps zipping fast
+            blob = new Blob([zipSync(pngs, { level: 0 })], { type: 'application/zip' });
+        }
+        if (download) downloadBlob(blob, filename);
+        return blob;
+    }
+
+    // One full circle around the orbit target at the current distance and height
+    function recordTurntable({ turns = 1, ...options } = {}) {
+        const target = controls.target.clone();
+        const offset = camera.position.clone().sub(target);
+        const radius = Math.hypot(offset.x, offset.z);
+        const startAngle = Math.atan2(offset.z, offset.x);
+        const path = t => {
+            const angle = startAngle + t * turns * Math.PI * 2;
+            return {
+                position: new THREE.Vector3(target.x + Math.cos(angle) * radius, target.y + offset.y, target.z + Math.sin(angle) * radius),
+                target
+            };
+        };
+        return recordPath({ path, ...options });
+    }
+
+    return {
+        screenshot,
+        recordPath,
+        recordTurntable,
+        get isBusy() { return busy; }
+    };
+}
@@ -0,0 +1,216 @@
+// ===================================
+//        SEATED CHARACTER ANIMATION
+// ===================================
+// Keyframed clips for the person in the office chair, blended by a small
+// state machine. A pose is a set of channel offsets (radians or scene units)
+// from the modelled rest pose, so { headY: 0.5 } turns the head half a radian
+// to the person's left and leaves everything else where it was built.
+//
+// A clip is { duration, loop, keyframes: [{ time, pose }], procedural, next }:
+//   procedural(time, pose)  adds live motion on top of the keyframes
+//   next                    state to go to when a one-shot clip ends
+// play(name) crossfades from whatever pose is showing into the clip.
+import * as THREE from 'three';
+
+// channel -> [joint, property, axis]
+const CHANNELS = {
+    headX: ['head', 'rotation', 'x'],
+    headY: ['head', 'rotation', 'y'],
+    torsoX: ['torso', 'rotation', 'x'],
+    leftArmX: ['leftArm', 'rotation', 'x'],
+    leftArmZ: ['leftArm', 'rotation', 'z'],
+    rightArmX: ['rightArm', 'rotation', 'x'],
+    rightArmZ: ['rightArm', 'rotation', 'z'],
+    leftLegX: ['leftLeg', 'rotation', 'x'],
+    rightLegX: ['rightLeg', 'rotation', 'x'],
+    bodyY: ['body', 'position', 'y'],
+    bodyZ: ['body', 'position', 'z'],
+    chairY: ['chair', 'rotation', 'y']
+};
+const CHANNEL_NAMES = Object.keys(CHANNELS);
+
+export const characterClips = {
+    // Hands on the keyboard, head drifting between the screens
+    typing: {
+        duration: 1,
+        loop: true,
+        keyframes: [{ time: 0, pose: {} }],
+        procedural: (time, pose) => {
+            pose.headY += Math.sin(time * 1.4) * 0.15;
+            pose.headX += Math.sin(time * 2.2) * 0.08;
+            pose.leftArmX += Math.sin(time * 20) * 0.05;
+            pose.rightArmX += Math.cos(time * 20) * 0.05;
+        }
+    },
+    leanBack: {
+        duration: 6,
+        keyframes: [
+            { time: 0, pose: {} },
+            { time: 1.2, pose: { torsoX: -0.35, headX: -0.25, leftArmX: -0.5, rightArmX: -0.5, bodyZ: -0.1 } },
+            { time: 4.8, pose: { torsoX: -0.35, headX: -0.3, leftArmX: -0.5, rightArmX: -0.5, bodyZ: -0.1 } },
+            { time: 6, pose: {} }
+        ],
+        next: 'typing'
+    },
+    // The window is off to the person's left and a little up
+    lookAtWindow: {
+        duration: 5,
+        keyframes: [
+            { time: 0, pose: {} },
+            { time: 1, pose: { headY: 0.7, headX: -0.25, chairY: 0.25, leftArmX: -0.3, rightArmX: -0.3 } },
+            { time: 4, pose: { headY: 0.75, headX: -0.3, chairY: 0.25, leftArmX: -0.3, rightArmX: -0.3 } },
+            { time: 5, pose: {} }
+        ],
+        next: 'typing'
+    },
+    swivel: {
+        duration: 4,
+        keyframes: [
+            { time: 0, pose: {} },
+            { time: 1, pose: { chairY: 0.5, leftArmX: -0.6, rightArmX: -0.6 } },
+            { time: 3, pose: { chairY: -0.5, leftArmX: -0.6, rightArmX: -0.6 } },
+            { time: 4, pose: {} }
+        ],
+        next: 'typing'
+    },
+    standUp: {
+        duration: 1.5,
+        keyframes: [
+            { time: 0, pose: {} },
+            { time: 0.6, pose: { torsoX: 0.3, headX: 0.2, leftArmX: -0.4, rightArmX: -0.4 } },
+            { time: 1.5, pose: { torsoX: -0.2, leftLegX: Math.PI / 2, rightLegX: Math.PI / 2, bodyY: 0.75, leftArmX: -0.75, rightArmX: -0.75, leftArmZ: -0.35, rightArmZ: 0.35 } }
+        ],
+        next: 'standing'
+    },
+    standing: {
+        duration: 1,
+        loop: true,
+        keyframes: [{ time: 0, pose: { torsoX: -0.2, leftLegX: Math.PI / 2, rightLegX: Math.PI / 2, bodyY: 0.75, leftArmX: -0.75, rightArmX: -0.75, leftArmZ: -0.35, rightArmZ: 0.35 } }],
+        procedural: (time, pose) => {
+            pose.headY += Math.sin(time * 0.6) * 0.2;
+        }
+    },
+    sitDown: {
+        duration: 1.5,
+        keyframes: [
+            { time: 0, pose: { torsoX: -0.2, leftLegX: Math.PI / 2, rightLegX: Math.PI / 2, bodyY: 0.75, leftArmX: -0.75, rightArmX: -0.75, leftArmZ: -0.35, rightArmZ: 0.35 } },
+            { time: 0.9, pose: { torsoX: 0.3, headX: 0.2, leftArmX: -0.4, rightArmX: -0.4 } },
+            { time: 1.5, pose: {} }
+        ],
+        next: 'typing'
+    }
+};
+
+// Clips the idle behaviour picks from while the person is typing
+const IDLE_CLIPS = ['leanBack', 'lookAtWindow', 'swivel'];
+
+const emptyPose = () => Object.fromEntries(CHANNEL_NAMES.map(name => [name, 0]));
+
+// Samples a clip's keyframes at `time`, easing between neighbours
+function sampleKeyframes(clip, time, out) {
+    const frames = clip.keyframes;
+    let index = frames.findIndex(frame => frame.time > time);
+    if (index === -1) index = frames.length;
+    const a = frames[Math.max(0, index - 1)];
+    const b = frames[Math.min(frames.length - 1, index)];
+    const t = b.time > a.time ? THREE.MathUtils.smoothstep(time, a.time, b.time) : 0;
+    CHANNEL_NAMES.forEach(name => {
+        out[name] = THREE.MathUtils.lerp(a.pose[name] || 0, b.pose[name] || 0, t);
+    });
+    return out;
+}
+
+export function createCharacterAnimator({
+    person,
+    chair,
+    clips = characterClips,
+    initial = 'typing',
+    blendDuration = 0.6,
+    idle = { min: 10, max: 20 } // seconds of typing between idle clips, or null
+}) {
+    const animator = new THREE.EventDispatcher();
+    const library = { ...clips };
+
+    // Joints are looked up once; the per-frame update only writes numbers
+    const joints = {
+        head: person.getObjectByName('person_head'),
+        torso: person.getObjectByName('person_torso'),
+        leftArm: person.getObjectByName('left_arm'),
+        rightArm: person.getObjectByName('right_arm'),
+        leftLeg: person.getObjectByName('left_leg'),
+        rightLeg: person.getObjectByName('right_leg'),
+        body: person,
+        chair
+    };
+    const channels = CHANNEL_NAMES
+        .filter(name => joints[CHANNELS[name][0]])
+        .map(name => {
+            const [joint, property, axis] = CHANNELS[name];
+            const target = joints[joint][property];
+            return { name, target, axis, rest: target[axis] };
+        });
+
+    const sampled = emptyPose();
+    const shown = emptyPose();
+    let blendFrom = emptyPose();
+    let blendTime = 0;
+    let blendLength = 0;
+    let currentName = null;
+    let clip = null;
+    let clipTime = 0;
+    let clipEnded = false;
+    let idleTimer = 0;
+
+    const nextIdleDelay = () => (idle ? THREE.MathUtils.randFloat(idle.min, idle.max) : Infinity);
+
+    function play(name, { blend = blendDuration } = {}) {
+        if (!library[name]) throw new Error(`Unknown character clip "${name}". Known clips: ${Object.keys(library).join(', ')}`);
+        blendFrom = { ...shown };
+        blendTime = 0;
+        blendLength = blend;
+        currentName = name;
+        clip = library[name];
+        clipTime = 0;
+        clipEnded = false;
+        idleTimer = nextIdleDelay();
+        animator.dispatchEvent({ type: 'statechange', name });
+    }
+
+    function defineClip(name, definition) {
+        library[name] = definition;
+    }
+
+    function update(delta) {
+        if (!clip) return;
+        clipTime += delta;
+
+        if (!clip.loop && !clipEnded && clipTime >= clip.duration) {
+            const finished = currentName;
+            clipEnded = true;
+            animator.dispatchEvent({ type: 'clipend', name: finished });
+            // A listener may already have started another clip; otherwise hold the last pose
+            if (currentName === finished && clip.next) play(clip.next);
+        } else if (currentName === 'typing' && (idleTimer -= delta) <= 0) {
+            play(IDLE_CLIPS[Math.floor(Math.random() * IDLE_CLIPS.length)]);
+        }
+
+        sampleKeyframes(clip, clip.loop ? clipTime % clip.duration : Math.min(clipTime, clip.duration), sampled);
+        // Procedural motion gets the unwrapped time so looping doesn't make it jump
+        if (clip.procedural) clip.procedural(clipTime, sampled);
+        blendTime += delta;
+        const weight = blendLength > 0 ? THREE.MathUtils.smoothstep(blendTime / blendLength, 0, 1) : 1;
+        channels.forEach(channel => {
+            shown[channel.name] = THREE.MathUtils.lerp(blendFrom[channel.name], sampled[channel.name], weight);
+            channel.target[channel.axis] = channel.rest + shown[channel.name];
+        });
+    }
+
+    if (initial) play(initial, { blend: 0 });
+
+    Object.assign(animator, { play, defineClip, update });
+    Object.defineProperties(animator, {
+        current: { get: () => currentName },
+        clips: { get: () => Object.keys(library) }
+    });
+    return animator;
+}
@@ -0,0 +1,75 @@
+// ===================================
+//          CLOCK CONTROLS
+// ===================================
+// A bar for a simulation clock (see simulationClock.js): the date, reverse,
+// play/pause, slower/faster with the current speed, and a date field to jump
+// to. The date is redrawn with update(), once a frame is plenty.
+export function createClockControls({ clock, parent = document.body }) {
+    const element = document.createElement('div');
+    element.className = 'clock-controls';
+    element.setAttribute('role', 'group');
+    element.setAttribute('aria-label', 'Simulation clock');
+
+    const dateText = document.createElement('output');
+    dateText.className = 'clock-date';
+
+    function button(label, title, onClick) {
+        const control = document.createElement('button');
+        control.type = 'button';
+        control.textContent = label;
+        control.title = title;
+        control.setAttribute('aria-label', title);
+        control.addEventListener('click', onClick);
+        return control;
+    }
+    const reverseButton = button('⇄', 'Reverse', () => clock.reverse());
+    const slowerButton = button('«', 'Slower', () => clock.slower());
+    const playButton = button('❚❚', 'Pause', () => clock.toggle());
+    const fasterButton = button('»', 'Faster', () => clock.faster());
+    const speedText = document.createElement('span');
+    speedText.className = 'clock-speed';
+
+    const jump = document.createElement('form');
+    const dateInput = document.createElement('input');
+    dateInput.type = 'date';
+    dateInput.setAttribute('aria-label', 'Jump to date');
+    const goButton = document.createElement('button');
+    goButton.type = 'submit';
+    goButton.textContent = 'Go';
+    jump.append(dateInput, goButton);
+    jump.addEventListener('submit', event => {
+        event.preventDefault();
+        if (dateInput.value) clock.setDate(`${dateInput.value}T00:00:00Z`);
+    });
+
+    element.append(dateText, reverseButton, slowerButton, playButton, fasterButton, speedText, jump);
+    parent.appendChild(element);
+
+    function refresh() {
+        playButton.textContent = clock.playing ? '❚❚' : '▶';
+        playButton.title = clock.playing ? 'Pause' : 'Play';
+        playButton.setAttribute('aria-label', playButton.title);
+        reverseButton.setAttribute('aria-pressed', String(clock.reversed));
+        speedText.textContent = `${clock.reversed ? '−' : ''}${clock.speedLabel}`;
+    }
+
+    let shown = '';
+    function update() {
+        // Minutes are as fine as the display goes; skip the DOM when they haven't changed
+        const text = clock.date.toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+        if (text === shown) return;
+        shown = text;
+        dateText.textContent = text;
+    }
+
+    clock.addEventListener('change', refresh);
+    refresh();
+    update();
+
+    function dispose() {
+        clock.removeEventListener('change', refresh);
+        element.remove();
+    }
+
+    return { update, dispose, element };
+}
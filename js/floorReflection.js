@@ -0,0 +1,195 @@
+// ===================================
+//          GLOSSY FLOOR
+// ===================================
+// A planar reflection for the floor. Each frame the room is rendered once more
+// from the camera mirrored in the floor's top face, into a half-float target,
+// so the neon keeps values bright enough for the bloom pass to pick up in
+// its reflection. The floor keeps its lit standard material; the reflection
+// is added on top, stronger at grazing angles.
+//
+// `blur` picks the mip level the reflection is read from (0 is a mirror,
+// each step halves the sharpness) and `strength` scales it. The floor's
+// color, roughness and metalness follow the room material it replaces, so
+// themes and the tweak panel still reach it.
+import * as THREE from 'three';
+
+const _normal = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _cameraPosition = new THREE.Vector3();
+const _view = new THREE.Vector3();
+const _lookAt = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _rotation = new THREE.Matrix4();
+const _plane = new THREE.Plane();
+const _clipPlane = new THREE.Vector4();
+const _q = new THREE.Vector4();
+const _size = new THREE.Vector2();
+
+// The room material with the reflection added just before output
+function createReflectiveMaterial(source, uniforms) {
+    const material = source.clone();
+    material.name = `${source.name}Reflective`;
+    material.onBeforeCompile = shader => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nuniform mat4 reflectionMatrix;\nvarying vec4 vReflectionCoord;')
+            .replace('#include <project_vertex>', '#include <project_vertex>\nvReflectionCoord = reflectionMatrix * modelMatrix * vec4(transformed, 1.0);');
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', /* glsl */`#include <common>
+                uniform sampler2D reflectionMap;
+                uniform float reflectionStrength;
+                uniform float reflectionBlur;
+                varying vec4 vReflectionCoord;`)
+            .replace('#include <opaque_fragment>', /* glsl */`
+                vec2 reflectionUv = vReflectionCoord.xy / vReflectionCoord.w;
+                // Four taps around the blurred mip level smooth out its blockiness
+                vec2 reflectionSpread = exp2(reflectionBlur) * 0.5 / vec2(textureSize(reflectionMap, 0));
+                vec3 reflection = (
+                    textureLod(reflectionMap, reflectionUv + reflectionSpread * vec2(1.0, 0.5), reflectionBlur).rgb +
+                    textureLod(reflectionMap, reflectionUv + reflectionSpread * vec2(-0.5, 1.0), reflectionBlur).rgb +
+                    textureLod(reflectionMap, reflectionUv + reflectionSpread * vec2(-1.0, -0.5), reflectionBlur).rgb +
+                    textureLod(reflectionMap, reflectionUv + reflectionSpread * vec2(0.5, -1.0), reflectionBlur).rgb
+                ) * 0.25;
+                float reflectionFresnel = mix(0.3, 1.0, pow(1.0 - saturate(dot(geometryNormal, geometryViewDir)), 5.0));
+                outgoingLight += reflection * reflectionStrength * reflectionFresnel;
+                #include <opaque_fragment>`);
+    };
+    material.customProgramCacheKey = () => 'floorReflection';
+    return material;
+}
+
+export function createFloorReflection({
+    renderer,
+    scene,
+    camera,
+    floor,                      // a mesh whose top face is the mirror (local +y up)
+    enabled = false,
+    strength = 0.5,
+    blur = 2,                   // mip level, 0 sharp
+    resolution = 0.5,           // fraction of the screen resolution
+    clipBias = 0.003
+}) {
+    const source = floor.material;
+    const target = new THREE.WebGLRenderTarget(1, 1, {
+        type: THREE.HalfFloatType,
+        generateMipmaps: true,
+        minFilter: THREE.LinearMipmapLinearFilter
+    });
+    const uniforms = {
+        reflectionMap: { value: target.texture },
+        reflectionMatrix: { value: new THREE.Matrix4() },
+        reflectionStrength: { value: strength },
+        reflectionBlur: { value: blur }
+    };
+    const material = createReflectiveMaterial(source, uniforms);
+    const mirrorCamera = new THREE.PerspectiveCamera();
+    floor.geometry.computeBoundingBox();
+    const top = floor.geometry.boundingBox.max.y;
+
+    function isShown() {
+        let object = floor;
+        while (object) {
+            if (!object.visible) return false;
+            object = object.parent;
+        }
+        return true;
+    }
+
+    function resize() {
+        renderer.getDrawingBufferSize(_size).multiplyScalar(resolution).round();
+        if (_size.x !== target.width || _size.y !== target.height) target.setSize(Math.max(1, _size.x), Math.max(1, _size.y));
+    }
+
+    // Renders the mirrored view; call before the frame is rendered
+    function update() {
+        if (!enabled || !isShown()) return;
+        material.color.copy(source.color);
+        material.roughness = source.roughness;
+        material.metalness = source.metalness;
+        resize();
+
+        floor.updateWorldMatrix(true, false);
+        camera.updateMatrixWorld();
+        _rotation.extractRotation(floor.matrixWorld);
+        _normal.set(0, 1, 0).applyMatrix4(_rotation);
+        _point.set(0, top, 0).applyMatrix4(floor.matrixWorld);
+        _cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+        // Nothing to reflect from below the floor
+        if (_view.subVectors(_point, _cameraPosition).dot(_normal) > 0) return;
+
+        // The camera mirrored in the plane, looking at its mirrored target
+        _view.reflect(_normal).negate().add(_point);
+        _rotation.extractRotation(camera.matrixWorld);
+        _lookAt.set(0, 0, -1).applyMatrix4(_rotation).add(_cameraPosition);
+        _target.subVectors(_point, _lookAt).reflect(_normal).negate().add(_point);
+        mirrorCamera.position.copy(_view);
+        mirrorCamera.up.set(0, 1, 0).applyMatrix4(_rotation).reflect(_normal);
+        mirrorCamera.lookAt(_target);
+        mirrorCamera.far = camera.far;
+        mirrorCamera.updateMatrixWorld();
+        mirrorCamera.projectionMatrix.copy(camera.projectionMatrix);
+
+        // World position -> reflection texture coordinates
+        uniforms.reflectionMatrix.value.set(
+            0.5, 0.0, 0.0, 0.5,
+            0.0, 0.5, 0.0, 0.5,
+            0.0, 0.0, 0.5, 0.5,
+            0.0, 0.0, 0.0, 1.0
+        ).multiply(mirrorCamera.projectionMatrix).multiply(mirrorCamera.matrixWorldInverse);
+
+        // Oblique near plane on the floor, so nothing below it shows up in the
+        // reflection (http://www.terathon.com/lengyel/Lengyel-Oblique.pdf)
+        _plane.setFromNormalAndCoplanarPoint(_normal, _point).applyMatrix4(mirrorCamera.matrixWorldInverse);
+        _clipPlane.set(_plane.normal.x, _plane.normal.y, _plane.normal.z, _plane.constant);
+        const projection = mirrorCamera.projectionMatrix.elements;
+        _q.set(
+            (Math.sign(_clipPlane.x) + projection[8]) / projection[0],
+            (Math.sign(_clipPlane.y) + projection[9]) / projection[5],
+            -1,
+            (1 + projection[10]) / projection[14]
+        );
+        _clipPlane.multiplyScalar(2 / _clipPlane.dot(_q));
+        projection[2] = _clipPlane.x;
+        projection[6] = _clipPlane.y;
+        projection[10] = _clipPlane.z + 1 - clipBias;
+        projection[14] = _clipPlane.w;
+
+        const previousTarget = renderer.getRenderTarget();
+        const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+        renderer.shadowMap.autoUpdate = false;
+        floor.visible = false;
+        renderer.setRenderTarget(target);
+        if (!renderer.autoClear) renderer.clear();
+        renderer.render(scene, mirrorCamera);
+        renderer.setRenderTarget(previousTarget);
+        floor.visible = true;
+        renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+    }
+
+    function setEnabled(value) {
+        enabled = value;
+        floor.material = enabled ? material : source;
+    }
+
+    function dispose() {
+        setEnabled(false);
+        target.dispose();
+        material.dispose();
+    }
+
+    setEnabled(enabled);
+
+    return {
+        update,
+        dispose,
+        target,
+        get enabled() { return enabled; },
+        set enabled(value) { setEnabled(value); },
+        get strength() { return uniforms.reflectionStrength.value; },
+        set strength(value) { uniforms.reflectionStrength.value = value; },
+        get blur() { return uniforms.reflectionBlur.value; },
+        set blur(value) { uniforms.reflectionBlur.value = value; },
+        get resolution() { return resolution; },
+        set resolution(value) { resolution = value; }
+    };
+}
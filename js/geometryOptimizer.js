@@ -0,0 +1,86 @@
+// ===================================
+//        STATIC GEOMETRY MERGING
+// ===================================
+// Bakes unnamed meshes into one mesh per material to cut draw calls.
+//
+// Named objects are the handles the rest of the app holds on to (picking
+// targets, animated joints, light strips), so they are left alone and act as
+// boundaries: the unnamed meshes below a named object are merged into that
+// object, in its local space, and still move with it. Instanced meshes are
+// already a single draw call and are skipped.
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+const _toRoot = new THREE.Matrix4();
+
+function isMergeable(object) {
+    return object.isMesh && !object.isInstancedMesh && !object.isSkinnedMesh && !object.name &&
+        !object.userData.lightStrip && object.children.length === 0 && !Array.isArray(object.material);
+}
+
+// Collects the mergeable meshes under `mergeRoot`, without crossing into named descendants
+function collect(object, byMaterial, nested) {
+    object.children.forEach(child => {
+        if (child.name) {
+            nested.push(child);
+            return;
+        }
+        if (isMergeable(child)) {
+            if (!byMaterial.has(child.material)) byMaterial.set(child.material, []);
+            byMaterial.get(child.material).push(child);
+            return;
+        }
+        collect(child, byMaterial, nested);
+    });
+}
+
+function mergeInto(mergeRoot, stats) {
+    const byMaterial = new Map();
+    const nested = [];
+    collect(mergeRoot, byMaterial, nested);
+    const inverseRoot = new THREE.Matrix4().copy(mergeRoot.matrixWorld).invert();
+
+    byMaterial.forEach((meshes, material) => {
+        if (meshes.length < 2) return;
+        const geometries = meshes.map(mesh => {
+            _toRoot.multiplyMatrices(inverseRoot, mesh.matrixWorld);
+            return mesh.geometry.clone().applyMatrix4(_toRoot);
+        });
+        const merged = mergeGeometries(geometries, false);
+        geometries.forEach(geometry => geometry.dispose());
+        if (!merged) {
+            console.warn(`Could not merge ${meshes.length} meshes under "${mergeRoot.name}", keeping them separate.`);
+            return;
+        }
+        meshes.forEach(mesh => {
+            mesh.removeFromParent();
+            mesh.geometry.dispose();
+        });
+        const mesh = new THREE.Mesh(merged, material);
+        mesh.castShadow = meshes.some(original => original.castShadow);
+        mesh.receiveShadow = meshes.some(original => original.receiveShadow);
+        mergeRoot.add(mesh);
+        stats.merged += meshes.length;
+        stats.meshes += 1;
+    });
+
+    pruneEmptyGroups(mergeRoot);
+    nested.forEach(child => mergeInto(child, stats));
+}
+
+// Drops unnamed groups left without children once their meshes were merged
+function pruneEmptyGroups(object) {
+    object.children.slice().forEach(child => {
+        if (child.name || child.isMesh || child.isPoints || child.isLine || child.isLight || child.isCamera) return;
+        pruneEmptyGroups(child);
+        if (child.children.length === 0) child.removeFromParent();
+    });
+}
+
+// Returns { merged, meshes }: how many meshes were folded into how many new ones
+export function mergeStaticMeshes(root) {
+    root.updateMatrixWorld(true);
+    const stats = { merged: 0, meshes: 0 };
+    mergeInto(root, stats);
+    return stats;
+}
@@ -0,0 +1,206 @@
+// ===================================
+//           glTF / GLB EXPORT
+// ===================================
+// Exports the scene, or any object in it, for Blender and other engines:
+//
+//   const blob = await exportGLTF(room.objects.workstation);     // .glb
+//   await exportGLTF(scene, { binary: false, download: true });  // .gltf
+//
+// The live scene is left untouched; a copy is adjusted for export:
+// - Unlit materials (neon strips, monitor screens) become black
+//   MeshStandardMaterials whose color moves to `emissive`, so they still glow
+//   in a lit renderer instead of importing as flat unlit surfaces.
+// - Canvas and video textures are baked into a still of their current frame.
+// - Shader materials, which glTF can't hold (the GPU matrix rain), are drawn
+//   once into an image that becomes the emissive map. This needs the
+//   `renderer`; without one they are left to the exporter, which drops them.
+// - Instanced meshes are expanded into plain meshes, since not every importer
+//   reads EXT_mesh_gpu_instancing. Pass expandInstances: false to keep them.
+// - An exported object keeps its world placement, not just its local one.
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { downloadBlob } from './capture.js';
+
+// Textures whose picture changes under them: canvases, and videos
+// (VideoTexture, or any texture playing one), which would export as a live reference
+function isLive(texture) {
+    if (!texture) return false;
+    const image = texture.image;
+    return texture.isCanvasTexture || texture.isVideoTexture ||
+        (typeof HTMLVideoElement !== 'undefined' && image instanceof HTMLVideoElement) ||
+        (typeof HTMLCanvasElement !== 'undefined' && image instanceof HTMLCanvasElement);
+}
+
+// Copies a canvas or video texture's current frame into a texture that can no longer change
+function bakeLiveTexture(texture) {
+    const source = texture.image;
+    const still = document.createElement('canvas');
+    still.width = source.videoWidth || source.width;
+    still.height = source.videoHeight || source.height;
+    still.getContext('2d').drawImage(source, 0, 0);
+    const baked = new THREE.Texture(still);
+    baked.name = texture.name;
+    baked.colorSpace = texture.colorSpace;
+    baked.flipY = texture.flipY;
+    baked.wrapS = texture.wrapS;
+    baked.wrapT = texture.wrapT;
+    baked.minFilter = texture.minFilter;
+    baked.magFilter = texture.magFilter;
+    baked.needsUpdate = true;
+    return baked;
+}
+
+// Draws a shader material across a width × height image, the way it covers
+// its mesh's UVs, and returns it as a texture
+function bakeShaderMaterial(material, renderer, width, height) {
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    const scene = new THREE.Scene().add(quad);
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    camera.position.z = 0.5;
+    const target = new THREE.WebGLRenderTarget(width, height);
+    const previousTarget = renderer.getRenderTarget();
+    const pixels = new Uint8Array(width * height * 4);
+    try {
+        renderer.setRenderTarget(target);
+        renderer.render(scene, camera);
+        renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+    } finally {
+        renderer.setRenderTarget(previousTarget);
+        target.dispose();
+        quad.geometry.dispose();
+    }
+
+    // GL rows run bottom up, canvas rows top down
+    const still = document.createElement('canvas');
+    still.width = width;
+    still.height = height;
+    const context = still.getContext('2d');
+    const image = context.createImageData(width, height);
+    const row = width * 4;
+    for (let y = 0; y < height; y++) {
+        image.data.set(pixels.subarray((height - 1 - y) * row, (height - y) * row), y * row);
+    }
+    context.putImageData(image, 0, 0);
+    const baked = new THREE.Texture(still);
+    baked.name = material.name;
+    // The matrix rain writes colors already in sRGB
+    baked.colorSpace = THREE.SRGBColorSpace;
+    baked.needsUpdate = true;
+    return baked;
+}
+
+function createExportMaterials({ emissiveStrength, renderer, bakeSize }) {
+    const materials = new Map();
+    const textures = new Map();
+
+    function texture(map) {
+        if (!isLive(map)) return map;
+        if (!textures.has(map)) textures.set(map, bakeLiveTexture(map));
+        return textures.get(map);
+    }
+
+    function convert(material) {
+        if (material.isMeshBasicMaterial) {
+            const map = texture(material.map);
+            return new THREE.MeshStandardMaterial({
+                name: material.name,
+                color: 0x000000,
+                emissive: material.color,
+                emissiveMap: map,
+                emissiveIntensity: emissiveStrength,
+                roughness: 1,
+                metalness: 0,
+                side: material.side,
+                transparent: material.transparent,
+                opacity: material.opacity
+            });
+        }
+        if (material.isShaderMaterial && renderer) {
+            const map = bakeShaderMaterial(material, renderer, bakeSize[0], bakeSize[1]);
+            textures.set(material, map);
+            return new THREE.MeshStandardMaterial({
+                name: material.name,
+                color: 0x000000,
+                emissive: 0xffffff,
+                emissiveMap: map,
+                emissiveIntensity: emissiveStrength,
+                roughness: 1,
+                metalness: 0,
+                side: material.side
+            });
+        }
+        const liveMaps = ['map', 'emissiveMap'].filter(key => isLive(material[key]));
+        if (liveMaps.length === 0) return material;
+        const copy = material.clone();
+        liveMaps.forEach(key => { copy[key] = texture(material[key]); });
+        return copy;
+    }
+
+    return {
+        get(material) {
+            if (Array.isArray(material)) return material.map(this.get, this);
+            if (!materials.has(material)) materials.set(material, convert(material));
+            return materials.get(material);
+        },
+        dispose() {
+            materials.forEach((converted, original) => { if (converted !== original) converted.dispose(); });
+            textures.forEach(baked => baked.dispose());
+        }
+    };
+}
+
+// Replaces an instanced mesh with a group of ordinary meshes, one per instance
+function expandInstances(mesh) {
+    const group = new THREE.Group();
+    group.name = mesh.name;
+    group.position.copy(mesh.position);
+    group.quaternion.copy(mesh.quaternion);
+    group.scale.copy(mesh.scale);
+    const matrix = new THREE.Matrix4();
+    for (let i = 0; i < mesh.count; i++) {
+        const instance = new THREE.Mesh(mesh.geometry, mesh.material);
+        mesh.getMatrixAt(i, matrix);
+        matrix.decompose(instance.position, instance.quaternion, instance.scale);
+        if (mesh.name) instance.name = `${mesh.name}_${i}`;
+        group.add(instance);
+    }
+    mesh.parent.add(group);
+    mesh.removeFromParent();
+    return group;
+}
+
+// Resolves to a Blob: model/gltf-binary, or model/gltf+json with embedded buffers
+export async function exportGLTF(object, {
+    binary = true,
+    expandInstances: expand = true,
+    emissiveStrength = 1,
+    renderer = null,            // for baking shader materials
+    bakeSize = [1024, 512],     // width and height of a baked shader image
+    onlyVisible = true,
+    download = false,
+    filename = `${object.name || 'scene'}.${binary ? 'glb' : 'gltf'}`
+} = {}) {
+    object.updateWorldMatrix(true, true);
+    // clone() shares geometry and materials, so only the copy's references are swapped below
+    const copy = object.clone();
+    if (!object.isScene) object.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+
+    const materials = createExportMaterials({ emissiveStrength, renderer, bakeSize });
+    const instanced = [];
+    copy.traverse(child => {
+        if (child.material) child.material = materials.get(child.material);
+        if (child.isInstancedMesh && child.parent) instanced.push(child);
+    });
+    if (expand) instanced.forEach(expandInstances);
+
+    try {
+        const result = await new GLTFExporter().parseAsync(copy, { binary, onlyVisible });
+        const blob = binary
+            ? new Blob([result], { type: 'model/gltf-binary' })
+            : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+        if (download) downloadBlob(blob, filename);
+        return blob;
+    } finally {
+        materials.dispose();
+    }
+}
@@ -0,0 +1,139 @@
+// ===================================
+//          GYROSCOPE LOOK
+// ===================================
+// Look around by turning the phone. While active, deviceorientation events
+// turn the view from where it was pointing when the mode started (or when the
+// last camera flight ended); the camera stays put and pinching still zooms.
+// Dragging to orbit is switched off once the first reading arrives, so the
+// two don't fight and a device without the sensor still drags as before.
+//
+// iOS only hands out orientation events after a permission prompt, which has
+// to come from a tap, so there enable() has to be called from a click handler
+// (`needsPermission` tells). The optional button (in `buttonParent`) does
+// that; show it with `showButton`. Elsewhere enable() can run right away.
+import * as THREE from 'three';
+
+const _euler = new THREE.Euler();
+const _device = new THREE.Quaternion();
+const _look = new THREE.Quaternion();
+const _screenTurn = new THREE.Quaternion();
+const _direction = new THREE.Vector3();
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+// The device lying flat looks down its back; the camera looks down -z
+const FLAT_TO_UPRIGHT = new THREE.Quaternion(-Math.sqrt(0.5), 0, 0, Math.sqrt(0.5));
+
+// The device's orientation as a camera quaternion, corrected for screen rotation
+function deviceQuaternion(target, { alpha, beta, gamma }, screenAngle) {
+    const degrees = THREE.MathUtils.DEG2RAD;
+    _euler.set(beta * degrees, alpha * degrees, -gamma * degrees, 'YXZ');
+    return target.setFromEuler(_euler)
+        .multiply(FLAT_TO_UPRIGHT)
+        .multiply(_screenTurn.setFromAxisAngle(Z_AXIS, -screenAngle * degrees));
+}
+
+function screenAngle() {
+    if (window.screen && window.screen.orientation) return window.screen.orientation.angle;
+    return window.orientation || 0;
+}
+
+export function createGyroLook({ camera, controls, buttonParent = null }) {
+    const gyro = new THREE.EventDispatcher();
+    const supported = 'DeviceOrientationEvent' in window;
+    let active = false;
+    let orientation = null;         // the latest event's angles
+    let reference = null;           // { device, camera } quaternions when looking started
+    let rotateWasEnabled = true;
+    let holdsRotate = false;        // whether drag rotation is switched off by us
+
+    let button = null;
+    if (buttonParent) {
+        button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'gyro-toggle';
+        button.textContent = 'Look around';
+        button.setAttribute('aria-pressed', 'false');
+        button.hidden = true;
+        button.addEventListener('click', () => toggle());
+        buttonParent.appendChild(button);
+    }
+
+    function onOrientation(event) {
+        if (event.alpha === null) return;
+        if (!holdsRotate) {
+            rotateWasEnabled = controls.enableRotate;
+            controls.enableRotate = false;
+            holdsRotate = true;
+        }
+        orientation = { alpha: event.alpha, beta: event.beta, gamma: event.gamma };
+    }
+
+    async function enable() {
+        if (active || !supported) return active;
+        const { requestPermission } = window.DeviceOrientationEvent;
+        if (typeof requestPermission === 'function') {
+            try {
+                if (await requestPermission.call(window.DeviceOrientationEvent) !== 'granted') return false;
+            } catch (error) {
+                console.warn('Device orientation was not allowed.', error);
+                return false;
+            }
+        }
+        active = true;
+        orientation = null;
+        reference = null;
+        window.addEventListener('deviceorientation', onOrientation);
+        if (button) button.setAttribute('aria-pressed', 'true');
+        gyro.dispatchEvent({ type: 'change', active });
+        return true;
+    }
+
+    function disable() {
+        if (!active) return;
+        active = false;
+        window.removeEventListener('deviceorientation', onOrientation);
+        if (holdsRotate) controls.enableRotate = rotateWasEnabled;
+        holdsRotate = false;
+        if (button) button.setAttribute('aria-pressed', 'false');
+        gyro.dispatchEvent({ type: 'change', active });
+    }
+
+    function toggle() {
+        return active ? Promise.resolve(disable()) : enable();
+    }
+
+    // Call before controls.update(); points the orbit target where the phone looks
+    function update() {
+        if (!active || !orientation) return;
+        // Flights and tours own the camera; look on from wherever they leave it
+        if (!controls.enabled) {
+            reference = null;
+            return;
+        }
+        deviceQuaternion(_device, orientation, screenAngle());
+        if (!reference) {
+            reference = { device: _device.clone().invert(), camera: camera.quaternion.clone() };
+            return;
+        }
+        _look.copy(reference.camera).multiply(reference.device).multiply(_device);
+        const distance = camera.position.distanceTo(controls.target);
+        _direction.set(0, 0, -1).applyQuaternion(_look);
+        controls.target.copy(camera.position).addScaledVector(_direction, distance);
+    }
+
+    function dispose() {
+        disable();
+        if (button) button.remove();
+    }
+
+    Object.assign(gyro, { enable, disable, toggle, update, dispose });
+    Object.defineProperties(gyro, {
+        active: { get: () => active },
+        supported: { get: () => supported },
+        needsPermission: { get: () => supported && typeof window.DeviceOrientationEvent.requestPermission === 'function' },
+        showButton: {
+            get: () => Boolean(button && !button.hidden),
+            set: value => { if (button) button.hidden = !(value && supported); }
+        }
+    });
+    return gyro;
+}
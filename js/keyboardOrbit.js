@@ -0,0 +1,125 @@
+// ===================================
+//        KEYBOARD CAMERA CONTROL
+// ===================================
+// Orbit, pan and zoom for OrbitControls without a mouse:
+//   Arrow keys                 orbit around the target
+//   Shift + arrow keys         pan
+//   + / -, PageUp / PageDown   zoom in / out
+// Keys are held rather than stepped, so the camera glides at `rotateSpeed`
+// (radians per second), `panSpeed` (the camera's distance per second) and
+// `zoomSpeed`. The controls' distance and angle limits still apply. Nothing
+// moves while the controls are disabled (during a camera flight) or while
+// `isBlocked()` says another mode owns the keys, like walk mode.
+import * as THREE from 'three';
+
+const EPSILON = 0.000001;
+const _offset = new THREE.Vector3();
+const _spherical = new THREE.Spherical();
+const _pan = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+
+const keyActions = {
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+    '+': 'in',
+    '=': 'in',
+    PageUp: 'in',
+    '-': 'out',
+    _: 'out',
+    PageDown: 'out'
+};
+
+export function createKeyboardOrbit({
+    camera,
+    controls,
+    keyTarget = document,
+    rotateSpeed = 1.5,
+    panSpeed = 0.8,
+    zoomSpeed = 1.2,
+    isBlocked = () => false
+}) {
+    const held = new Set();
+    let shift = false;
+
+    function isTyping(event) {
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target && event.target.tagName);
+    }
+
+    function onKeyDown(event) {
+        shift = event.shiftKey;
+        const action = keyActions[event.key];
+        if (!action || !orbit.enabled || event.ctrlKey || event.metaKey || event.altKey || isTyping(event)) return;
+        if (!controls.enabled || isBlocked()) return;
+        held.add(action);
+        // Arrows and PageUp/PageDown would scroll the page around an embedded room
+        event.preventDefault();
+    }
+
+    function onKeyUp(event) {
+        shift = event.shiftKey;
+        const action = keyActions[event.key];
+        if (action) held.delete(action);
+    }
+
+    // A key released while focus was elsewhere never sends keyup
+    function release() {
+        held.clear();
+    }
+
+    function axis(positive, negative) {
+        return (held.has(positive) ? 1 : 0) - (held.has(negative) ? 1 : 0);
+    }
+
+    // Call before controls.update()
+    function update(delta) {
+        if (held.size === 0 || !controls.enabled || isBlocked()) return;
+        const horizontal = axis('right', 'left');
+        const vertical = axis('up', 'down');
+        const zoom = axis('in', 'out');
+
+        if (shift) {
+            const amount = camera.position.distanceTo(controls.target) * panSpeed * delta;
+            _pan.setFromMatrixColumn(camera.matrix, 0).multiplyScalar(horizontal * amount);
+            _pan.add(_axis.setFromMatrixColumn(camera.matrix, 1).multiplyScalar(vertical * amount));
+            camera.position.add(_pan);
+            controls.target.add(_pan);
+        }
+
+        _spherical.setFromVector3(_offset.subVectors(camera.position, controls.target));
+        if (!shift) {
+            _spherical.theta -= horizontal * rotateSpeed * delta;
+            _spherical.phi -= vertical * rotateSpeed * delta;
+        }
+        if (Number.isFinite(controls.minAzimuthAngle) && Number.isFinite(controls.maxAzimuthAngle)) {
+            _spherical.theta = THREE.MathUtils.clamp(_spherical.theta, controls.minAzimuthAngle, controls.maxAzimuthAngle);
+        }
+        _spherical.phi = THREE.MathUtils.clamp(_spherical.phi,
+            Math.max(EPSILON, controls.minPolarAngle), Math.min(Math.PI - EPSILON, controls.maxPolarAngle));
+        _spherical.radius = THREE.MathUtils.clamp(_spherical.radius * Math.exp(-zoom * zoomSpeed * delta),
+            controls.minDistance, controls.maxDistance);
+        camera.position.copy(controls.target).add(_offset.setFromSpherical(_spherical));
+        camera.lookAt(controls.target);
+    }
+
+    keyTarget.addEventListener('keydown', onKeyDown);
+    keyTarget.addEventListener('keyup', onKeyUp);
+    window.addEventListener('blur', release);
+
+    function dispose() {
+        keyTarget.removeEventListener('keydown', onKeyDown);
+        keyTarget.removeEventListener('keyup', onKeyUp);
+        window.removeEventListener('blur', release);
+        release();
+    }
+
+    const orbit = {
+        enabled: true,
+        update,
+        release,
+        dispose,
+        get isMoving() { return held.size > 0; }
+    };
+    return orbit;
+}
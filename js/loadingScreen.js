@@ -0,0 +1,63 @@
+// ===================================
+//          LOADING SCREEN
+// ===================================
+// A progress bar over the scene while an asset manager (see assetManager.js)
+// has things in flight. It appears when loading starts, counts assets as they
+// finish and fades out once the last one is in; assets requested later bring
+// it back.
+export function createLoadingScreen({ assets, parent = document.body, title = 'Loading' }) {
+    const element = document.createElement('div');
+    element.className = 'loading-screen';
+    element.hidden = true;
+    const heading = document.createElement('div');
+    heading.className = 'loading-title';
+    heading.textContent = title;
+    const bar = document.createElement('div');
+    bar.className = 'loading-bar';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', title);
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    const fill = document.createElement('div');
+    fill.className = 'loading-fill';
+    bar.appendChild(fill);
+    const label = document.createElement('div');
+    label.className = 'loading-label';
+    element.append(heading, bar, label);
+    parent.appendChild(element);
+    let hideTimer = null;
+
+    function onProgress({ loaded, total }) {
+        clearTimeout(hideTimer);
+        element.hidden = false;
+        element.classList.remove('done');
+        const percent = total ? Math.round(100 * loaded / total) : 0;
+        fill.style.width = `${percent}%`;
+        bar.setAttribute('aria-valuenow', String(percent));
+        label.textContent = `${loaded} / ${total}`;
+    }
+
+    // Fades out (see .loading-screen.done in style.css), then leaves the page alone
+    function onLoad() {
+        element.classList.add('done');
+        hideTimer = setTimeout(() => { element.hidden = true; }, 600);
+    }
+
+    assets.addEventListener('start', onProgress);
+    assets.addEventListener('progress', onProgress);
+    assets.addEventListener('load', onLoad);
+
+    function dispose() {
+        clearTimeout(hideTimer);
+        assets.removeEventListener('start', onProgress);
+        assets.removeEventListener('progress', onProgress);
+        assets.removeEventListener('load', onLoad);
+        element.remove();
+    }
+
+    return {
+        dispose,
+        element,
+        get isVisible() { return !element.hidden; }
+    };
+}
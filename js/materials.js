@@ -0,0 +1,37 @@
+// ===================================
+//         MATERIALS & COLORS
+// ===================================
+// Reusable materials for a consistent look. Everything is created per call so
+// each room gets its own set that can be restyled without touching the others.
+import * as THREE from 'three';
+
+export const neonColor = 0x03e9f4;
+
+export function createMaterials() {
+    const materials = {
+        wall: new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.9 }),
+        floor: new THREE.MeshStandardMaterial({ color: 0x151515, metalness: 0.2, roughness: 0.6 }),
+        panel: new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.9 }),
+        desk: new THREE.MeshStandardMaterial({ color: 0x222328, roughness: 0.33 }),
+        emissive: new THREE.MeshBasicMaterial({ color: neonColor }),
+        windowHole: new THREE.MeshBasicMaterial({ color: 0x000000 }),
+        star: new THREE.PointsMaterial({ color: 0xffffff, size: 0.03 }),
+
+        // --- Keyboard and mouse ---
+        keyboard: new THREE.MeshStandardMaterial({ color: 0x080808, roughness: 0.4 }),
+        key: new THREE.MeshStandardMaterial({ color: 0x1a1a1a }),
+
+        // --- Office chair ---
+        chairBody: new THREE.MeshStandardMaterial({ color: 0x222428, roughness: 0.6 }),
+        chairBase: new THREE.MeshStandardMaterial({ color: 0x181818, roughness: 0.5, metalness: 0.5 }),
+        wheel: new THREE.MeshStandardMaterial({ color: 0x101010, roughness: 0.4 }),
+        stem: new THREE.MeshStandardMaterial({ color: 0x555555, roughness: 0.2, metalness: 0.8 }),
+
+        // --- Person ---
+        clothing: new THREE.MeshStandardMaterial({ color: 0x15151a, roughness: 0.8 }),
+        skin: new THREE.MeshStandardMaterial({ color: 0x3d2a24, roughness: 0.7 })
+    };
+    // Named after their keys so they keep a readable name in exported files
+    Object.entries(materials).forEach(([name, material]) => { material.name = name; });
+    return materials;
+}
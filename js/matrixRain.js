@@ -0,0 +1,157 @@
+// ===================================
+//          GPU MATRIX RAIN
+// ===================================
+// The falling characters, drawn by a fragment shader straight onto the
+// screen mesh. The glyphs are rendered once into an atlas texture; each frame
+// only the time uniform changes, so the CPU does nothing and the rain stays
+// sharp however close the camera gets.
+//
+// Every column gets its own speed and phase from a hash of its index. A drop
+// is a bright head with a trail fading over `trail` cells behind it, and
+// lower `density` leaves longer gaps between drops. Glyphs flicker to new
+// characters `changeRate` times a second.
+import * as THREE from 'three';
+
+export const matrixCharsets = {
+    latin: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789@#$%^&*()',
+    katakana: 'ｦｱｳｴｵｶｷｹｺｻｼｽｾｿﾀﾂﾃﾅﾆﾇﾈﾊﾋﾎﾏﾐﾑﾒﾓﾔﾕﾗﾘﾜ0123456789',
+    binary: '01',
+    hex: '0123456789ABCDEF'
+};
+
+// Glyphs in a square grid, white on transparent, `cellSize` pixels each
+export function createGlyphAtlas(chars, { cellSize = 64, font = 'bold {size}px monospace' } = {}) {
+    const glyphs = Array.from(chars);
+    if (glyphs.length === 0) throw new Error('The matrix rain needs at least one character.');
+    const columns = Math.ceil(Math.sqrt(glyphs.length));
+    const rows = Math.ceil(glyphs.length / columns);
+    const canvas = document.createElement('canvas');
+    canvas.width = columns * cellSize;
+    canvas.height = rows * cellSize;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = font.replace('{size}', Math.floor(cellSize * 0.8));
+    glyphs.forEach((glyph, i) => {
+        ctx.fillText(glyph, (i % columns + 0.5) * cellSize, (Math.floor(i / columns) + 0.5) * cellSize);
+    });
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.anisotropy = 4;
+    return { texture, columns, rows, count: glyphs.length };
+}
+
+const vertexShader = /* glsl */`
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    uniform sampler2D atlas;
+    uniform vec2 atlasGrid;
+    uniform float glyphCount;
+    uniform vec2 grid;
+    uniform float time;
+    uniform float speed;
+    uniform float trail;
+    uniform float density;
+    uniform float changeRate;
+    uniform vec3 headColor;
+    uniform vec3 trailColor;
+    uniform vec3 backgroundColor;
+    varying vec2 vUv;
+
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    }
+
+    void main() {
+        // Cells counted from the top left, the way the rain falls
+        vec2 position = vec2(vUv.x, 1.0 - vUv.y) * grid;
+        vec2 cell = floor(position);
+        vec2 inCell = position - cell;
+
+        float columnSpeed = speed * (0.5 + hash(vec2(cell.x, 1.0)));
+        float period = (grid.y + trail) * (1.0 + (1.0 - density) * 3.0 * hash(vec2(cell.x, 2.0)));
+        float head = mod(time * columnSpeed + hash(vec2(cell.x, 3.0)) * period, period);
+        float behind = head - cell.y;
+        float lit = behind < 0.0 || behind > trail ? 0.0 : 1.0 - behind / trail;
+        float isHead = step(behind, 1.0);
+
+        float flicker = floor(time * changeRate * (0.5 + hash(cell)) + hash(cell + 7.0) * 10.0);
+        float glyph = floor(hash(cell + flicker) * glyphCount);
+        vec2 atlasCell = vec2(mod(glyph, atlasGrid.x), floor(glyph / atlasGrid.x));
+        vec2 uv = vec2(atlasCell.x + inCell.x, atlasGrid.y - atlasCell.y - inCell.y) / atlasGrid;
+        // Gradients of the unbroken cell position, so mip selection doesn't seam at cell edges
+        vec2 dx = dFdx(position) / atlasGrid;
+        vec2 dy = dFdy(position) / atlasGrid;
+        float shape = textureGrad(atlas, uv, dx, dy).a;
+
+        vec3 color = mix(trailColor, headColor, isHead);
+        gl_FragColor = vec4(backgroundColor + color * shape * lit, 1.0);
+    }
+`;
+
+// palette: the screen palette ({ matrixHead, matrixTrail, matrixFade }),
+// followed live unless `colors` overrides it with { head, trail, background }.
+export function createMatrixRain({
+    palette,
+    chars = matrixCharsets.latin,
+    colors = {},
+    columns = 40,
+    aspect = 16 / 9,            // width / height of the screen
+    cellAspect = 1.2,           // height / width of one character cell
+    speed = 12,                 // cells per second
+    trail = 8,                  // cells
+    density = 0.7,              // 0 sparse .. 1 a drop always on its way in every column
+    changeRate = 2              // glyph changes per second
+}) {
+    const atlas = createGlyphAtlas(matrixCharsets[chars] || chars);
+    const rows = Math.max(1, Math.round(columns / aspect / cellAspect));
+    const uniforms = {
+        atlas: { value: atlas.texture },
+        atlasGrid: { value: new THREE.Vector2(atlas.columns, atlas.rows) },
+        glyphCount: { value: atlas.count },
+        grid: { value: new THREE.Vector2(columns, rows) },
+        time: { value: 0 },
+        speed: { value: speed },
+        trail: { value: trail },
+        density: { value: density },
+        changeRate: { value: changeRate },
+        headColor: { value: new THREE.Color() },
+        trailColor: { value: new THREE.Color() },
+        backgroundColor: { value: new THREE.Color() }
+    };
+    const material = new THREE.ShaderMaterial({ name: 'matrixRain', uniforms, vertexShader, fragmentShader, toneMapped: false });
+
+    const overrides = {
+        head: colors.head && new THREE.Color(colors.head),
+        trail: colors.trail && new THREE.Color(colors.trail),
+        background: colors.background && new THREE.Color(colors.background)
+    };
+    // The canvas screens draw palette colors as CSS, i.e. in sRGB; match them
+    function syncColors() {
+        uniforms.headColor.value.copy(overrides.head || palette.matrixHead).convertLinearToSRGB();
+        uniforms.trailColor.value.copy(overrides.trail || palette.matrixTrail).convertLinearToSRGB();
+        uniforms.backgroundColor.value.copy(overrides.background || palette.matrixFade).convertLinearToSRGB();
+    }
+    syncColors();
+
+    return {
+        material,
+        uniforms,
+        update(delta) {
+            uniforms.time.value += delta;
+            syncColors();
+        },
+        refresh: syncColors,
+        dispose() {
+            material.dispose();
+            atlas.texture.dispose();
+        }
+    };
+}
@@ -0,0 +1,158 @@
+// ===================================
+//          MODEL SLOTS (glTF)
+// ===================================
+// Swaps the procedural parts of a named object ("slot") for a GLB model. The
+// room document lists them by slot name:
+//
+//   "models": {
+//       "officeChair": "models/chair.glb",
+//       "person": { "url": "models/person.glb", "animation": "Typing" },
+//       "mainMonitor": { "url": "models/monitor.glb", "scale": 1.1 }
+//   }
+//
+// The slot object itself stays, with its name and transform, so picking,
+// collisions and the character animator keep working. Its parts are replaced,
+// except nested slots (the person on the chair), which stay. The model is
+// scaled to fit the box of the parts it replaces (`fit`: "contain", "height"
+// or "none"), centered on it and stood on its floor; `rotation` turns it to
+// face the slot's front first. A flat slot, like a monitor screen, keeps its
+// surface and gets the model fitted to its outline, just behind it.
+//
+// Embedded animations play through an AnimationMixer on the scheduler, so they
+// pause and slow down with the rest of the scene. Until a model has loaded,
+// or if it fails to, the procedural geometry is shown.
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+const _box = new THREE.Box3();
+const _matrix = new THREE.Matrix4();
+
+// Bounding box of `objects` in the local space of `space`
+function localBounds(space, objects) {
+    space.updateWorldMatrix(true, true);
+    const toSpace = new THREE.Matrix4().copy(space.matrixWorld).invert();
+    const bounds = new THREE.Box3();
+    objects.forEach(root => root.traverse(object => {
+        if (!object.geometry) return;
+        if (object.isInstancedMesh) {
+            if (!object.boundingBox) object.computeBoundingBox();
+            _box.copy(object.boundingBox);
+        } else {
+            if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+            _box.copy(object.geometry.boundingBox);
+        }
+        _matrix.multiplyMatrices(toSpace, object.matrixWorld);
+        bounds.union(_box.applyMatrix4(_matrix));
+    }));
+    return bounds;
+}
+
+// The procedural parts a model replaces: everything but nested slots
+function replaceableParts(slot) {
+    return slot.children.filter(child => !child.userData.slot);
+}
+
+// Scale factor that fits a box of size `from` into one of size `to`. Flat axes
+// (a screen has no depth) don't constrain it.
+function fitScale(from, to, fit) {
+    if (fit === 'none') return 1;
+    if (fit === 'height') return from.y > 1e-6 ? to.y / from.y : 1;
+    const ratios = ['x', 'y', 'z']
+        .filter(axis => from[axis] > 1e-6 && to[axis] > 1e-6)
+        .map(axis => to[axis] / from[axis]);
+    return ratios.length ? Math.min(...ratios) : 1;
+}
+
+function disposeParts(parts) {
+    parts.forEach(part => part.traverse(object => {
+        // Materials are shared with the rest of the room; geometry is not
+        if (object.geometry) object.geometry.dispose();
+    }));
+}
+
+// Places `model` inside `slot`, replacing its procedural parts
+export function fitModelToSlot(slot, model, { fit = 'contain', scale = 1, rotation = null } = {}) {
+    // A mesh slot (the desk top, a screen) is its own procedural part
+    const parts = slot.isMesh ? [slot] : replaceableParts(slot);
+    const target = localBounds(slot, parts);
+    const flat = slot.isMesh && Math.min(...target.getSize(new THREE.Vector3()).toArray()) < 1e-6;
+
+    const holder = new THREE.Group();
+    holder.name = `${slot.name}_model`;
+    if (rotation) model.rotation.fromArray(rotation);
+    holder.add(model);
+    slot.add(holder);
+    const source = localBounds(holder, [model]);
+
+    if (!target.isEmpty() && !source.isEmpty()) {
+        const targetSize = target.getSize(new THREE.Vector3());
+        const sourceSize = source.getSize(new THREE.Vector3());
+        holder.scale.setScalar(fitScale(sourceSize, targetSize, fit) * scale);
+        const center = target.getCenter(new THREE.Vector3());
+        const sourceCenter = source.getCenter(new THREE.Vector3()).multiply(holder.scale);
+        holder.position.set(center.x - sourceCenter.x, target.min.y - source.min.y * holder.scale.y, center.z - sourceCenter.z);
+        if (flat) {
+            // Bezel and stand sit just behind the animated screen
+            holder.position.y = center.y - sourceCenter.y;
+            holder.position.z = target.min.z - source.max.z * holder.scale.z - 0.01;
+        }
+    }
+
+    if (slot.isMesh) {
+        // The slot object has to stay, so it keeps its place with empty geometry
+        if (!flat) {
+            slot.geometry.dispose();
+            slot.geometry = new THREE.BufferGeometry();
+        }
+    } else {
+        parts.forEach(part => part.removeFromParent());
+        disposeParts(parts);
+    }
+    return holder;
+}
+
+// Loads every configured model and fits it into its slot. Resolves once all
+// have settled, with the slots that were swapped: { name: { model, mixer, actions } }.
+// Models arriving after `signal` (an AbortSignal) is aborted are left out, so a
+// disposed room gets nothing attached or scheduled.
+export async function loadSlotModels(objects, models = {}, { scheduler = null, loader = new GLTFLoader(), baseUrl = '', signal = null } = {}) {
+    const loaded = {};
+    const jobs = Object.entries(models).map(async ([name, entry]) => {
+        const config = typeof entry === 'string' ? { url: entry } : entry;
+        const slot = objects[name];
+        if (!slot) {
+            console.warn(`Model slot "${name}" does not exist in this room. Skipping ${config.url}.`);
+            return;
+        }
+        let gltf;
+        try {
+            gltf = await loader.loadAsync(new URL(config.url, baseUrl || document.baseURI).href);
+        } catch (error) {
+            console.warn(`Could not load model ${config.url} for "${name}", keeping the procedural one.`, error);
+            return;
+        }
+        if (signal && signal.aborted) return;
+        const model = gltf.scene;
+        const result = { model, mixer: null, actions: {} };
+        try {
+            fitModelToSlot(slot, model, config);
+            if (gltf.animations.length) {
+                const mixer = new THREE.AnimationMixer(model);
+                gltf.animations.forEach(clip => { result.actions[clip.name] = mixer.clipAction(clip); });
+                const first = config.animation ?? gltf.animations[0].name;
+                if (first && result.actions[first]) result.actions[first].play();
+                else if (first) console.warn(`Model ${config.url} has no animation "${first}" (has ${Object.keys(result.actions).join(', ')}).`);
+                if (scheduler) result.remove = scheduler.add(delta => mixer.update(delta));
+                result.mixer = mixer;
+            }
+        } catch (error) {
+            // A malformed or empty model; take back whatever was attached
+            if (model.parent) model.parent.removeFromParent();
+            console.warn(`Could not fit model ${config.url} into "${name}", keeping the procedural one.`, error);
+            return;
+        }
+        loaded[name] = result;
+    });
+    await Promise.all(jobs);
+    return loaded;
+}
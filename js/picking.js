@@ -0,0 +1,171 @@
+// ===================================
+//        OBJECT PICKING & FOCUS
+// ===================================
+// Raycasts the pointer against the scene and picks the target the nearest
+// mesh belongs to, so walls and furniture in front of a target hide it
+// (without `scene`, only the targets are tested). Hovering outlines
+// the object, clicking flies the camera in to frame it and Escape steps back
+// to the view before. The picker is an EventDispatcher:
+//   'hover'    { object }  object under the pointer changed (null when none)
+//   'select'   { object }  an object was focused
+//   'deselect' { object }  focus was left for the view before it
+import * as THREE from 'three';
+
+const CLICK_TOLERANCE = 5; // pixels the pointer may move and still count as a click
+
+// targets: Object3Ds, or { object, fromFront } to frame the object head-on
+// along its local +Z (for screens) instead of from the current direction
+export function createPicker({ camera, domElement, cameraTween, targets, scene = null, outlinePass = null, padding = 1.15, keyTarget = document }) {
+    const picker = new THREE.EventDispatcher();
+    const entries = targets.filter(Boolean).map(target => (target.isObject3D ? { object: target } : target));
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const pointerDown = new THREE.Vector2();
+    const history = []; // { view, selected } to return to on Escape
+    let hovered = null;
+    let selected = null;
+
+    function entryFor(object) {
+        return entries.find(entry => entry.object === object);
+    }
+
+    // Finds which target the hit mesh belongs to
+    function targetFromHit(object) {
+        while (object) {
+            if (entryFor(object)) return object;
+            object = object.parent;
+        }
+        return null;
+    }
+
+    // The raycaster ignores `visible`; a hidden room (see roomNetwork.js) must not be clickable
+    function isShown(object) {
+        for (; object; object = object.parent) {
+            if (!object.visible) return false;
+        }
+        return true;
+    }
+
+    function pick(event) {
+        const rect = domElement.getBoundingClientRect();
+        pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        raycaster.setFromCamera(pointer, camera);
+        const hits = scene
+            ? raycaster.intersectObject(scene, true)
+            : raycaster.intersectObjects(entries.map(entry => entry.object), true);
+        // Lines and points (orbit paths, stars) don't stand in the way
+        const hit = hits.find(({ object }) => object.isMesh && isShown(object));
+        return hit ? targetFromHit(hit.object) : null;
+    }
+
+    function refreshOutline() {
+        if (!outlinePass) return;
+        outlinePass.selectedObjects = [...new Set([hovered, selected].filter(Boolean))];
+    }
+
+    // A view that fits the object's bounding sphere in the camera's field of view
+    function frameView(object) {
+        const entry = entryFor(object);
+        const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+        const distance = (sphere.radius / Math.sin(THREE.MathUtils.degToRad(camera.fov) / 2)) * padding;
+        const direction = entry && entry.fromFront
+            ? object.getWorldDirection(new THREE.Vector3())
+            : camera.position.clone().sub(sphere.center).normalize();
+        return {
+            position: sphere.center.clone().addScaledVector(direction, distance),
+            target: sphere.center.clone()
+        };
+    }
+
+    function focus(object) {
+        if (!object || object === selected) return;
+        history.push({ view: cameraTween.getView(), selected });
+        selected = object;
+        refreshOutline();
+        cameraTween.flyTo(frameView(object));
+        picker.dispatchEvent({ type: 'select', object });
+    }
+
+    function back() {
+        const previous = history.pop();
+        if (!previous) return;
+        const left = selected;
+        selected = previous.selected;
+        refreshOutline();
+        cameraTween.flyTo(previous.view);
+        picker.dispatchEvent({ type: 'deselect', object: left });
+        if (selected) picker.dispatchEvent({ type: 'select', object: selected });
+    }
+
+    // Targets can come and go with the rooms they are in
+    function add(target) {
+        const entry = target.isObject3D ? { object: target } : target;
+        if (!entryFor(entry.object)) entries.push(entry);
+    }
+
+    function remove(object) {
+        const index = entries.findIndex(entry => entry.object === object);
+        if (index === -1) return;
+        entries.splice(index, 1);
+        if (hovered === object) {
+            hovered = null;
+            domElement.style.cursor = '';
+        }
+        refreshOutline();
+    }
+
+    // --- Input ---
+    // Pointer lock means walk mode owns the mouse
+    function isActive() {
+        return picker.enabled && !document.pointerLockElement;
+    }
+
+    // Outlines an object as if the pointer were over it, e.g. for keyboard focus
+    function highlight(object) {
+        if (object === hovered) return;
+        hovered = object;
+        domElement.style.cursor = hovered ? 'pointer' : '';
+        refreshOutline();
+        picker.dispatchEvent({ type: 'hover', object: hovered });
+    }
+
+    function onPointerMove(event) {
+        if (isActive()) highlight(pick(event));
+    }
+
+    function onPointerDown(event) {
+        pointerDown.set(event.clientX, event.clientY);
+    }
+
+    function onPointerUp(event) {
+        if (!isActive() || event.button !== 0) return;
+        if (pointerDown.distanceTo(pointer.set(event.clientX, event.clientY)) > CLICK_TOLERANCE) return;
+        const object = pick(event);
+        if (object) focus(object);
+    }
+
+    function onKeyDown(event) {
+        if (event.key === 'Escape' && isActive()) back();
+    }
+
+    domElement.addEventListener('pointermove', onPointerMove);
+    domElement.addEventListener('pointerdown', onPointerDown);
+    domElement.addEventListener('pointerup', onPointerUp);
+    keyTarget.addEventListener('keydown', onKeyDown);
+
+    function dispose() {
+        domElement.removeEventListener('pointermove', onPointerMove);
+        domElement.removeEventListener('pointerdown', onPointerDown);
+        domElement.removeEventListener('pointerup', onPointerUp);
+        keyTarget.removeEventListener('keydown', onKeyDown);
+        if (outlinePass) outlinePass.selectedObjects = [];
+    }
+
+    Object.assign(picker, { enabled: true, focus, back, highlight, add, remove, dispose });
+    Object.defineProperties(picker, {
+        hovered: { get: () => hovered },
+        selected: { get: () => selected }
+    });
+    return picker;
+}
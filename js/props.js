@@ -0,0 +1,202 @@
+// ===================================
+//           PROP BUILDERS
+// ===================================
+// Each builder turns one prop entry of a room document into an Object3D.
+// The entry's transform is applied by the room loader afterwards, so the
+// builders only create geometry in the prop's local space.
+import * as THREE from 'three';
+
+// --- Desk ---
+function buildDesk(spec, materials) {
+    const [width, height, depth] = spec.size || [6, 0.22, 3];
+    return new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), materials.desk);
+}
+
+// --- Realistic Keyboard ---
+function buildKeyboard(spec, materials) {
+    const keyboard = new THREE.Group();
+    const rows = spec.rows || 4;
+    const columns = spec.columns || 12;
+    const keyboardBody = new THREE.Mesh(new THREE.BoxGeometry(1.8, 0.05, 0.6), materials.keyboard);
+    keyboard.add(keyboardBody);
+    // All keys share one geometry and are drawn in a single instanced call
+    const keys = new THREE.InstancedMesh(new THREE.BoxGeometry(0.1 * 0.9, 0.05, 0.1 * 0.9), materials.key, rows * columns);
+    const key = new THREE.Object3D();
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+            key.position.set(-0.8 + col * (0.1 * 1.1), 0.05, -0.2 + row * (0.1 * 1.2));
+            key.updateMatrix();
+            keys.setMatrixAt(row * columns + col, key.matrix);
+        }
+    }
+    keyboard.add(keys);
+    const keyboardLight = new THREE.Mesh(new THREE.BoxGeometry(1.8, 0.02, 0.02), materials.emissive);
+    keyboardLight.position.z = 0.3;
+    keyboardLight.name = 'keyboardLight';
+    // Underglow: lights the desk below (see roomLighting.js)
+    keyboardLight.userData.lightStrip = { shape: 'bar', size: [1.8, 0.02, 0.02], facing: [0, -1, 0] };
+    keyboard.add(keyboardLight);
+    return keyboard;
+}
+
+// --- Mouse ---
+function buildMouse(spec, materials) {
+    const mouse = new THREE.Group();
+    const mouseBody = new THREE.Mesh(new THREE.SphereGeometry(0.2, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2), materials.keyboard);
+    mouseBody.scale.set(1, 0.5, 1.5);
+    mouse.add(mouseBody);
+    return mouse;
+}
+
+// --- Monitor ---
+// A material the caller passes in `screens` (see buildRoom) is used as is.
+// Otherwise the monitor stays blank until a screen manager attaches the
+// provider named by "screen" (see screens.js).
+function buildMonitor(spec, materials, context) {
+    const [width, height] = spec.size || [3.5, 2];
+    const screenMaterial = context.screens[spec.screen];
+    const monitor = new THREE.Mesh(new THREE.PlaneGeometry(width, height), screenMaterial || materials.windowHole);
+    if (!screenMaterial && spec.screen) monitor.userData.screen = { content: spec.screen, options: spec.screenOptions || {} };
+    return monitor;
+}
+
+// --- High-Detail, Realistic Office Chair with More Detailed Person ---
+function buildOfficeChair(spec, materials) {
+    const officeChair = new THREE.Group();
+    const baseCenter = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.15, 0.3, 32), materials.chairBase);
+    baseCenter.position.y = -0.5;
+    officeChair.add(baseCenter);
+    // The five legs and wheels of the star base are instanced
+    const legs = new THREE.InstancedMesh(new THREE.BoxGeometry(0.8, 0.1, 0.1), materials.chairBase, 5);
+    const wheels = new THREE.InstancedMesh(new THREE.TorusGeometry(0.08, 0.03, 16, 32), materials.wheel, 5);
+    const part = new THREE.Object3D();
+    for (let i = 0; i < 5; i++) {
+        const angle = (i / 5) * Math.PI * 2;
+        part.position.set(Math.cos(angle) * 0.4, -0.5, Math.sin(angle) * 0.4);
+        part.rotation.y = -angle;
+        part.updateMatrix();
+        legs.setMatrixAt(i, part.matrix);
+        part.position.set(Math.cos(angle) * 0.8, -0.55, Math.sin(angle) * 0.8);
+        part.rotation.y = 0;
+        part.updateMatrix();
+        wheels.setMatrixAt(i, part.matrix);
+    }
+    officeChair.add(legs, wheels);
+    const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.6, 32), materials.stem);
+    stem.position.y = -0.2;
+    officeChair.add(stem);
+    const seatCushion = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.2, 1.2), materials.chairBody);
+    seatCushion.position.y = 0.1;
+    officeChair.add(seatCushion);
+    const backrest = new THREE.Group();
+    const mainBack = new THREE.Mesh(new THREE.BoxGeometry(1, 1.8, 0.15), materials.chairBody);
+    mainBack.position.y = 1;
+    mainBack.rotation.x = 0.1;
+    backrest.add(mainBack);
+    const leftBolster = new THREE.Mesh(new THREE.BoxGeometry(0.2, 1.8, 0.2), materials.chairBody);
+    leftBolster.position.set(-0.6, 1, 0.1);
+    leftBolster.rotation.y = -0.2;
+    backrest.add(leftBolster);
+    const rightBolster = new THREE.Mesh(new THREE.BoxGeometry(0.2, 1.8, 0.2), materials.chairBody);
+    rightBolster.position.set(0.6, 1, 0.1);
+    rightBolster.rotation.y = 0.2;
+    backrest.add(rightBolster);
+    backrest.position.z = -0.6;
+    officeChair.add(backrest);
+    for (let side of [-1, 1]) {
+        const armrest = new THREE.Group();
+        const armVertical = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.5, 0.1), materials.chairBase);
+        armVertical.position.set(side * 0.7, 0.35, 0);
+        armrest.add(armVertical);
+        const armHorizontal = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.1, 0.6), materials.chairBody);
+        armHorizontal.position.set(side * 0.7, 0.6, -0.2);
+        armrest.add(armHorizontal);
+        officeChair.add(armrest);
+    }
+    if (spec.person !== false) officeChair.add(buildPerson(materials));
+    return officeChair;
+}
+
+function buildPerson(materials) {
+    const person = new THREE.Group();
+    person.name = 'person';
+    person.userData.slot = true;
+    const torso = new THREE.Mesh(new THREE.BoxGeometry(0.7, 0.8, 0.4), materials.clothing);
+    torso.position.y = 0.6;
+    torso.rotation.x = 0.2;
+    torso.name = "person_torso";
+    person.add(torso);
+    const neck = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 0.2, 16), materials.skin);
+    neck.position.y = 1.1;
+    person.add(neck);
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.25, 32, 16), materials.skin);
+    head.position.y = 1.3;
+    head.name = "person_head";
+    person.add(head);
+    const hood = new THREE.Mesh(new THREE.SphereGeometry(0.3, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2), materials.clothing);
+    hood.position.y = 1.2;
+    hood.position.z = -0.1;
+    hood.rotation.x = -Math.PI / 2;
+    person.add(hood);
+    for (let side of [-1, 1]) {
+        const leg = new THREE.Group();
+        leg.name = side === -1 ? "left_leg" : "right_leg";
+        const upperLeg = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.5, 16), materials.clothing);
+        upperLeg.position.y = -0.25;
+        leg.add(upperLeg);
+        const lowerLeg = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.6, 16), materials.clothing);
+        lowerLeg.position.y = -0.7;
+        lowerLeg.position.z = 0.4;
+        leg.add(lowerLeg);
+        leg.position.set(side * 0.2, 0.2, 0);
+        leg.rotation.x = -Math.PI / 2;
+        person.add(leg);
+        const arm = new THREE.Group();
+        arm.name = side === -1 ? "left_arm" : "right_arm";
+        const upperArm = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 0.4, 16), materials.clothing);
+        upperArm.position.y = -0.2;
+        arm.add(upperArm);
+        const lowerArm = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 0.5, 16), materials.clothing);
+        lowerArm.position.y = -0.6;
+        lowerArm.position.z = 0.3;
+        lowerArm.rotation.x = 0.5;
+        arm.add(lowerArm);
+        arm.position.set(side * 0.4, 0.8, 0.2);
+        arm.rotation.z = side * -0.5;
+        arm.rotation.x = 0.8;
+        person.add(arm);
+    }
+    person.position.set(0, 0.2, 0.1);
+    return person;
+}
+
+// --- Server Rack ---
+// A cabinet standing on its base, with rows of status lights on the front
+function buildServerRack(spec, materials) {
+    const [width, height, depth] = spec.size || [1.4, 5, 1.2];
+    const units = spec.units ?? 10;
+    const rack = new THREE.Group();
+    const cabinet = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), materials.chairBase);
+    cabinet.position.y = height / 2;
+    rack.add(cabinet);
+    const lights = new THREE.InstancedMesh(new THREE.BoxGeometry(width * 0.6, 0.03, 0.02), materials.emissive, units);
+    const light = new THREE.Object3D();
+    for (let i = 0; i < units; i++) {
+        light.position.set(0, height * (i + 0.5) / units, depth / 2 + 0.01);
+        light.scale.x = 0.3 + ((i * 7) % 5) / 6;
+        light.updateMatrix();
+        lights.setMatrixAt(i, light.matrix);
+    }
+    rack.add(lights);
+    return rack;
+}
+
+// Prop types a room document can use, keyed by the entry's "type"
+export const propBuilders = {
+    desk: buildDesk,
+    keyboard: buildKeyboard,
+    mouse: buildMouse,
+    monitor: buildMonitor,
+    officeChair: buildOfficeChair,
+    serverRack: buildServerRack
+};
@@ -0,0 +1,86 @@
+// ===================================
+//           REDUCED MOTION
+// ===================================
+// Follows the system's prefers-reduced-motion setting, or a manual override.
+// While motion is reduced the given clocks run at `slowScale` (or stand
+// still with mode 'freeze'), and bloom is turned down by `bloomScale` so
+// changing glyphs flare less. Anything else that moves on its own listens for
+// 'change' ({ reduced }) or reads `reduced`; camera flights cut straight to
+// their destination, for example.
+import * as THREE from 'three';
+
+export function createMotionPreference({
+    clocks = [],                // schedulers whose timeScale is lowered
+    bloomPass = null,
+    themeManager = null,        // re-applies the bloom cut after theme fades
+    reduced: override = null,   // true / false, or null to follow the system
+    mode = 'slow',              // 'slow' or 'freeze'
+    slowScale = 0.2,
+    bloomScale = 0.6
+} = {}) {
+    const preference = new THREE.EventDispatcher();
+    const query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    const savedScales = new Map();
+    let reduced = false;
+    let bloomStrength = bloomPass ? bloomPass.strength : 0;
+
+    function scale() {
+        if (!reduced) return 1;
+        return mode === 'freeze' ? 0 : slowScale;
+    }
+
+    function apply() {
+        const next = override === null ? Boolean(query && query.matches) : override;
+        if (next === reduced) return;
+        reduced = next;
+        clocks.forEach(clock => {
+            if (reduced) {
+                savedScales.set(clock, clock.timeScale);
+                clock.timeScale = scale();
+            } else {
+                clock.timeScale = savedScales.get(clock) ?? 1;
+            }
+        });
+        if (bloomPass) {
+            if (reduced) bloomStrength = bloomPass.strength;
+            bloomPass.strength = reduced ? bloomStrength * bloomScale : bloomStrength;
+        }
+        preference.dispatchEvent({ type: 'change', reduced });
+    }
+
+    // A theme fade writes the full bloom strength every frame
+    function onThemeChange() {
+        if (!reduced || !bloomPass) return;
+        bloomStrength = bloomPass.strength;
+        bloomPass.strength = bloomStrength * bloomScale;
+    }
+
+    // true or false overrides the system setting, null goes back to it
+    function set(value) {
+        override = value;
+        apply();
+    }
+
+    function toggle() {
+        set(!reduced);
+    }
+
+    function dispose() {
+        if (query) query.removeEventListener('change', apply);
+        if (themeManager) themeManager.removeEventListener('change', onThemeChange);
+        set(false);
+    }
+
+    if (query) query.addEventListener('change', apply);
+    if (themeManager) themeManager.addEventListener('change', onThemeChange);
+    apply();
+
+    Object.assign(preference, { set, toggle, dispose });
+    Object.defineProperties(preference, {
+        reduced: { get: () => reduced },
+        followsSystem: { get: () => override === null },
+        // How fast things that move on their own should run: 1, slowScale or 0
+        scale: { get: scale }
+    });
+    return preference;
+}
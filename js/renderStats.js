@@ -0,0 +1,57 @@
+// ===================================
+//          PERFORMANCE HUD
+// ===================================
+// An overlay with FPS, frame time, the draw calls and triangles of the last
+// frame, the geometries and textures held on the GPU (renderer.info.memory)
+// and, when given the adaptive quality controller, the current level.
+// EffectComposer renders several passes per frame, so renderer.info is
+// switched to manual reset and cleared once per frame by beginFrame(), which
+// has to run before anything in the frame renders.
+const REFRESH_INTERVAL = 0.25; // seconds between text updates
+
+export function createRenderStats(renderer, { visible = false, quality = null, parent = document.body } = {}) {
+    const element = document.createElement('div');
+    element.className = 'render-stats';
+    element.hidden = !visible;
+    parent.appendChild(element);
+    renderer.info.autoReset = false;
+
+    let frameTime = 1 / 60;
+    let sinceRefresh = 0;
+
+    function beginFrame() {
+        renderer.info.reset();
+    }
+
+    // `delta` is the wall-clock time of the frame that was just rendered
+    function endFrame(delta = 0) {
+        if (delta > 0) frameTime += (delta - frameTime) * 0.1;
+        sinceRefresh += delta;
+        if (element.hidden || sinceRefresh < REFRESH_INTERVAL) return;
+        sinceRefresh = 0;
+        const { calls, triangles } = renderer.info.render;
+        const { geometries, textures } = renderer.info.memory;
+        const lines = [
+            `FPS: ${Math.round(1 / frameTime)}`,
+            `Frame: ${(frameTime * 1000).toFixed(1)} ms`,
+            `Draw calls: ${calls}`,
+            `Triangles: ${triangles.toLocaleString()}`,
+            `GPU geometries: ${geometries}`,
+            `GPU textures: ${textures}`
+        ];
+        if (quality) lines.push(`Quality: ${quality.settings.name}${quality.isAdaptive ? ' (auto)' : ''}`);
+        element.textContent = lines.join('\n');
+    }
+
+    function toggle(force) {
+        element.hidden = force === undefined ? !element.hidden : !force;
+        sinceRefresh = REFRESH_INTERVAL;
+    }
+
+    function dispose() {
+        element.remove();
+        renderer.info.autoReset = true;
+    }
+
+    return { element, beginFrame, endFrame, toggle, dispose };
+}
@@ -0,0 +1,197 @@
+// ===================================
+//        NEON LIGHTING & SHADOWS
+// ===================================
+// Lets the neon light the room instead of only glowing through bloom. Every
+// emissive bar (light strips, door frames, the keyboard underglow) gets a
+// RectAreaLight the length of the bar, facing into the room, and a ring gets
+// a SpotLight shining along its axis. The ring spots and the lights passed
+// as `shadowLights` (the monitor light) cast shadows from the `casters`.
+//
+// Bars are found by userData.lightStrip ({ shape, size, facing }) and
+// userData.door, which the room loader and prop builders set, so rooms loaded
+// later are lit the same way through attach(). Light colors follow the
+// emissive material, theme crossfades included.
+//
+// Modes, most expensive first:
+//   'shadows'  area lights and shadows
+//   'area'     area lights, no shadows
+//   'basic'    neither; only the scene's own lights
+import * as THREE from 'three';
+import { RectAreaLightUniformsLib } from 'three/addons/lights/RectAreaLightUniformsLib.js';
+
+export const lightingModes = ['shadows', 'area', 'basic'];
+
+const _center = new THREE.Vector3();
+const _basis = new THREE.Matrix4();
+const _x = new THREE.Vector3();
+const _y = new THREE.Vector3();
+const _z = new THREE.Vector3();
+
+// Points a RectAreaLight's face (its -z) along `facing`, its width along `along`
+function orient(light, along, facing) {
+    _x.copy(along).normalize();
+    _z.copy(facing).negate().normalize();
+    _y.crossVectors(_z, _x);
+    _basis.makeBasis(_x, _y, _z);
+    light.quaternion.setFromRotationMatrix(_basis);
+}
+
+// Of the two axes across the bar, the one pointing most towards `toward`
+function snapFacing(longAxis, toward) {
+    const candidates = [0, 1, 2].filter(axis => axis !== longAxis);
+    const axis = Math.abs(toward.getComponent(candidates[0])) >= Math.abs(toward.getComponent(candidates[1])) ? candidates[0] : candidates[1];
+    return new THREE.Vector3().setComponent(axis, Math.sign(toward.getComponent(axis)) || 1);
+}
+
+export function createRoomLighting({
+    renderer,
+    emissive,                   // the neon material whose color the lights take
+    shadowLights = [],
+    casters = [],
+    mode = 'shadows',
+    stripIntensity = 30,
+    ringIntensity = 200,
+    shadowMapSize = 1024
+}) {
+    RectAreaLightUniformsLib.init();
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+    const attached = new Map();     // root -> [lights]
+    const rects = [];
+    const spots = [];
+    let current = null;
+
+    function addBar(parent, position, size, facing) {
+        const longAxis = size.indexOf(Math.max(...size));
+        const across = [...size].sort((a, b) => b - a)[1];
+        const light = new THREE.RectAreaLight(emissive.color, stripIntensity, size[longAxis], Math.max(across, 0.2));
+        light.position.copy(position);
+        orient(light, new THREE.Vector3().setComponent(longAxis, 1), facing || snapFacing(longAxis, _center.clone().sub(position)));
+        parent.add(light);
+        rects.push(light);
+        return light;
+    }
+
+    function addRing(strip) {
+        const spot = new THREE.SpotLight(emissive.color, ringIntensity, 0, Math.PI / 3, 0.8, 2);
+        spot.name = `${strip.name || 'ring'}Spot`;
+        // A torus lies in its local XY plane, so its axis is local +z
+        spot.target.position.set(0, 0, 1);
+        spot.position.set(0, 0, 0.05);
+        spot.shadow.mapSize.setScalar(shadowMapSize);
+        spot.shadow.camera.near = 0.5;
+        spot.shadow.camera.far = 30;
+        spot.shadow.bias = -0.0005;
+        spot.shadow.normalBias = 0.02;
+        strip.add(spot, spot.target);
+        spots.push(spot);
+        return spot;
+    }
+
+    // Adds lights for the strips and doors under `root` and lets its lit surfaces take shadows
+    function attach(root) {
+        if (attached.has(root)) return attached.get(root);
+        root.updateMatrixWorld(true);
+        const lights = [];
+        root.traverse(object => {
+            if (object.isMesh && !object.material.isMeshBasicMaterial && !object.material.isShaderMaterial) object.receiveShadow = true;
+            const strip = object.userData.lightStrip;
+            const door = object.userData.door;
+            if (strip || door) _center.setFromMatrixPosition(root.matrixWorld).applyMatrix4(object.matrixWorld.clone().invert());
+            if (strip && strip.shape === 'ring') {
+                lights.push(addRing(object));
+            } else if (strip) {
+                const facing = strip.facing && new THREE.Vector3().fromArray(strip.facing);
+                lights.push(addBar(object, new THREE.Vector3(), strip.size, facing));
+            } else if (door) {
+                // The frame's three bars, shining out of the doorway on the side it faces
+                const { width, height } = door;
+                const forward = new THREE.Vector3(0, 0, 1);
+                lights.push(
+                    addBar(object, new THREE.Vector3(0, height / 2, 0), [width, 0.1, 0.1], forward),
+                    addBar(object, new THREE.Vector3(-width / 2, 0, 0), [0.1, height, 0.1], forward),
+                    addBar(object, new THREE.Vector3(width / 2, 0, 0), [0.1, height, 0.1], forward)
+                );
+            }
+        });
+        attached.set(root, lights);
+        apply();
+        return lights;
+    }
+
+    function detach(root) {
+        const lights = attached.get(root);
+        if (!lights) return;
+        lights.forEach(light => {
+            light.removeFromParent();
+            if (light.target) light.target.removeFromParent();
+            light.dispose();
+            const list = light.isRectAreaLight ? rects : spots;
+            list.splice(list.indexOf(light), 1);
+        });
+        attached.delete(root);
+    }
+
+    function apply() {
+        const lit = current !== 'basic';
+        const shadows = current === 'shadows';
+        rects.forEach(light => { light.visible = lit; });
+        spots.forEach(light => {
+            light.visible = lit;
+            light.castShadow = shadows;
+        });
+        shadowLights.forEach(light => { light.castShadow = shadows; });
+    }
+
+    function setMode(next) {
+        if (!lightingModes.includes(next)) throw new Error(`Unknown lighting mode "${next}" (${lightingModes.join(', ')}).`);
+        if (next === current) return;
+        current = next;
+        apply();
+    }
+
+    // Colors follow the neon material
+    function update() {
+        if (current === 'basic') return;
+        rects.forEach(light => light.color.copy(emissive.color));
+        spots.forEach(light => light.color.copy(emissive.color));
+    }
+
+    function dispose() {
+        [...attached.keys()].forEach(detach);
+        shadowLights.forEach(light => { light.castShadow = false; });
+    }
+
+    shadowLights.forEach(light => {
+        light.shadow.mapSize.setScalar(shadowMapSize / 2);
+        light.shadow.camera.near = 0.1;
+        light.shadow.bias = -0.002;
+        light.shadow.normalBias = 0.02;
+    });
+    casters.forEach(object => object && object.traverse(child => {
+        if (child.isMesh && !child.material.isMeshBasicMaterial) child.castShadow = true;
+    }));
+    setMode(mode);
+
+    return {
+        attach,
+        detach,
+        setMode,
+        update,
+        dispose,
+        get mode() { return current; },
+        set mode(value) { setMode(value); },
+        get lights() { return [...rects, ...spots]; },
+        get stripIntensity() { return stripIntensity; },
+        set stripIntensity(value) {
+            stripIntensity = value;
+            rects.forEach(light => { light.intensity = value; });
+        },
+        get ringIntensity() { return ringIntensity; },
+        set ringIntensity(value) {
+            ringIntensity = value;
+            spots.forEach(light => { light.intensity = value; });
+        }
+    };
+}
@@ -0,0 +1,283 @@
+// ===================================
+//            ROOM LOADER
+// ===================================
+// Turns a JSON room document (see rooms/default.json) into a scene graph.
+//
+// A document describes:
+//   dimensions   - { width, height, depth } of the box the room lives in
+//   walls        - which sides get a wall and how many decorative panels
+//   props        - furniture by "type" (see propBuilders) with a transform,
+//                  or { "type": "group", "children": [...] } to nest them
+//   lightStrips  - emissive "ring" or "bar" shapes; a bar may say which way
+//                  it shines ("facing"), see roomLighting.js
+//   openings     - the octagonal "window" with its starfield and sliding
+//                  "door"s; a door with a "wall" is set into that wall
+//                  (cutting a hole) and may lead to another room document
+//   lights       - point lights that belong to the room
+//   description  - what the room looks like, read out to screen readers,
+//   hotspots       and the named objects reachable with Tab (see
+//                  sceneDescription.js)
+// Every entry may carry a "name"; named objects are returned in `objects`.
+import * as THREE from 'three';
+import { propBuilders } from './props.js';
+import { mergeStaticMeshes } from './geometryOptimizer.js';
+
+// Resolves a bare room name ("default") to the bundled rooms/ directory,
+// anything ending in .json is taken as given (relative to the page). Paths
+// inside a document, like its models, are relative to this URL.
+export function roomDocumentUrl(nameOrUrl = 'default') {
+    return nameOrUrl.endsWith('.json')
+        ? new URL(nameOrUrl, document.baseURI).href
+        : new URL(`../rooms/${nameOrUrl}.json`, import.meta.url).href;
+}
+
+export async function loadRoomDocument(nameOrUrl = 'default') {
+    const url = roomDocumentUrl(nameOrUrl);
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load room document ${url} (HTTP ${response.status})`);
+    }
+    return response.json();
+}
+
+export function buildRoom(doc, { materials, screens = {}, merge = true }) {
+    if (!doc || !doc.dimensions) {
+        throw new Error('Room document is missing "dimensions".');
+    }
+    const size = { ...doc.dimensions };
+    const root = new THREE.Group();
+    root.name = doc.name || 'room';
+
+    // --- Floor & Ceiling ---
+    const floor = new THREE.Mesh(new THREE.BoxGeometry(size.width, 0.2, size.depth), materials.floor);
+    floor.name = 'floor';
+    floor.position.y = -size.height / 2;
+    root.add(floor);
+
+    const ceiling = new THREE.Mesh(new THREE.BoxGeometry(size.width, 0.2, size.depth), materials.wall);
+    ceiling.name = 'ceiling';
+    ceiling.position.y = size.height / 2;
+    root.add(ceiling);
+
+    // --- Walls ---
+    // Doors set into a wall leave a doorway-sized hole in it
+    const openings = doc.openings || [];
+    const doorways = side => openings
+        .filter(spec => spec.type === 'door' && spec.wall === side)
+        .map(spec => ({ offset: spec.offset ?? 0, width: spec.width ?? 3, height: spec.height ?? 6 }));
+    (doc.walls || []).forEach(spec => root.add(buildWall(spec, size, materials, doorways(spec.side))));
+
+    // --- Props ---
+    const context = { materials, screens };
+    (doc.props || []).forEach(spec => {
+        const prop = buildProp(spec, context);
+        if (prop) root.add(prop);
+    });
+
+    // --- Light Strips ---
+    (doc.lightStrips || []).forEach(spec => root.add(buildLightStrip(spec, materials)));
+
+    // --- Window & Door ---
+    openings.forEach(spec => {
+        if (spec.type === 'window') buildWindow(spec, materials).forEach(object => root.add(object));
+        else if (spec.type === 'door') root.add(buildDoor(spec.wall ? placeInWall(spec, size) : spec, materials));
+        else console.warn(`Unknown opening type "${spec.type}" in room document.`);
+    });
+
+    // --- Lights ---
+    (doc.lights || []).forEach(spec => {
+        const light = new THREE.PointLight(spec.color ?? 0xffffff, spec.intensity ?? 10, spec.distance ?? 0, spec.decay ?? 2);
+        root.add(applyTransform(light, spec));
+    });
+
+    // Fold the static parts into one mesh per material; named objects stay addressable
+    if (merge) mergeStaticMeshes(root);
+
+    const objects = {};
+    root.traverse(object => {
+        if (object.name) objects[object.name] = object;
+    });
+    return { root, size, objects };
+}
+
+// Applies the optional position / rotation (radians) / scale of an entry
+function applyTransform(object, spec) {
+    if (spec.name) object.name = spec.name;
+    if (spec.position) object.position.fromArray(spec.position);
+    if (spec.rotation) object.rotation.fromArray(spec.rotation);
+    if (typeof spec.scale === 'number') object.scale.setScalar(spec.scale);
+    else if (spec.scale) object.scale.fromArray(spec.scale);
+    return object;
+}
+
+// Side -> wall length, position and facing inside a room of the given size
+const wallPlacements = {
+    back: size => ({ length: size.width, position: [0, 0, -size.depth / 2], rotationY: 0 }),
+    front: size => ({ length: size.width, position: [0, 0, size.depth / 2], rotationY: Math.PI }),
+    left: size => ({ length: size.depth, position: [-size.width / 2, 0, 0], rotationY: Math.PI / 2 }),
+    right: size => ({ length: size.depth, position: [size.width / 2, 0, 0], rotationY: -Math.PI / 2 })
+};
+
+// A wall with decorative panels. Panel width and spacing are fractions of the wall length.
+// Doorways ({ offset, width, height } along the wall, standing on the floor) are left open.
+function buildWall(spec, size, materials, doorways = []) {
+    const placement = wallPlacements[spec.side];
+    if (!placement) throw new Error(`Unknown wall side "${spec.side}" in room document.`);
+    const { length, position, rotationY } = placement(size);
+    const height = size.height;
+    const panels = spec.panels ?? 5;
+    const panelWidth = spec.panelWidth ?? 0.15;
+    const panelSpacing = spec.panelSpacing ?? 0.25;
+
+    const wall = new THREE.Group();
+    wall.name = spec.name || `${spec.side}Wall`;
+    wallSegments(length, height, doorways).forEach(({ x, y, width, height: segmentHeight }) => {
+        const segment = new THREE.Mesh(new THREE.BoxGeometry(width, segmentHeight, 0.2), materials.wall);
+        segment.position.set(x, y, 0);
+        wall.add(segment);
+    });
+    // Panels that would cover a doorway are left out
+    const panelSize = length * panelWidth;
+    const panelPositions = [];
+    for (let i = 0; i < panels; i++) {
+        const x = -length / 2 + (i * length * panelSpacing) + (length * panelSpacing / 2);
+        if (!doorways.some(doorway => Math.abs(x - doorway.offset) < (panelSize + doorway.width) / 2)) panelPositions.push(x);
+    }
+    if (panelPositions.length > 0) {
+        const panelMesh = new THREE.InstancedMesh(new THREE.BoxGeometry(panelSize, height, 0.25), materials.panel, panelPositions.length);
+        const panel = new THREE.Object3D();
+        panelPositions.forEach((x, i) => {
+            panel.position.x = x;
+            panel.updateMatrix();
+            panelMesh.setMatrixAt(i, panel.matrix);
+        });
+        wall.add(panelMesh);
+    }
+    wall.position.fromArray(position);
+    wall.rotation.y = rotationY;
+    return wall;
+}
+
+// Splits a wall into boxes around its doorways: full-height pieces between
+// them and a lintel above each. Returns { x, y, width, height } in wall space.
+function wallSegments(length, height, doorways) {
+    const segments = [];
+    const floor = -height / 2;
+    let left = -length / 2;
+    [...doorways].sort((a, b) => a.offset - b.offset).forEach(({ offset, width, height: doorHeight }) => {
+        const start = Math.max(offset - width / 2, left);
+        const end = Math.min(offset + width / 2, length / 2);
+        if (start > left) segments.push({ x: (left + start) / 2, y: 0, width: start - left, height });
+        if (end > start && doorHeight < height) {
+            segments.push({ x: (start + end) / 2, y: (floor + doorHeight + height / 2) / 2, width: end - start, height: height / 2 - floor - doorHeight });
+        }
+        left = Math.max(left, end);
+    });
+    if (left < length / 2) segments.push({ x: (left + length / 2) / 2, y: 0, width: length / 2 - left, height });
+    return segments;
+}
+
+function buildProp(spec, context) {
+    if (spec.type === 'group') {
+        const group = new THREE.Group();
+        (spec.children || []).forEach(child => {
+            const prop = buildProp(child, context);
+            if (prop) group.add(prop);
+        });
+        return applyTransform(group, spec);
+    }
+    const builder = propBuilders[spec.type];
+    if (!builder) {
+        console.warn(`Unknown prop type "${spec.type}" in room document. Skipping it.`);
+        return null;
+    }
+    const prop = applyTransform(builder(spec, context.materials, context), spec);
+    // Named props can have their geometry swapped for a model (see modelSlots.js)
+    if (spec.name) prop.userData.slot = true;
+    return prop;
+}
+
+function buildLightStrip(spec, materials) {
+    let geometry;
+    if (spec.shape === 'ring') {
+        geometry = new THREE.TorusGeometry(spec.radius ?? 2, spec.thickness ?? 0.1, 16, 100);
+    } else if (spec.shape === 'bar') {
+        const [width, height, depth] = spec.size || [1, 0.05, 0.05];
+        geometry = new THREE.BoxGeometry(width, height, depth);
+    } else {
+        throw new Error(`Unknown light strip shape "${spec.shape}" in room document.`);
+    }
+    const strip = applyTransform(new THREE.Mesh(geometry, materials.emissive), spec);
+    strip.userData.lightStrip = { shape: spec.shape, size: spec.size || [1, 0.05, 0.05], facing: spec.facing };
+    return strip;
+}
+
+// A regular polygon cut-out with a field of stars a little way behind it
+function buildWindow(spec, materials) {
+    const sides = spec.sides ?? 8;
+    const r = spec.radius ?? 2;
+    const shape = new THREE.Shape();
+    shape.moveTo(r, 0);
+    for (let i = 1; i <= sides; i++) {
+        const theta = (i / sides) * Math.PI * 2;
+        shape.lineTo(Math.cos(theta) * r, Math.sin(theta) * r);
+    }
+    const windowHole = applyTransform(new THREE.Mesh(new THREE.ShapeGeometry(shape), materials.windowHole), spec);
+    if (!spec.stars) return [windowHole];
+
+    const { count = 500, spread = 8, distance = 2.2 } = spec.stars;
+    const starVertices = [];
+    for (let i = 0; i < count; i++) {
+        const x = (Math.random() - 0.5) * spread;
+        const y = (Math.random() - 0.5) * spread;
+        starVertices.push(x, y, -distance);
+    }
+    const starGeometry = new THREE.BufferGeometry();
+    starGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starVertices, 3));
+    const stars = new THREE.Points(starGeometry, materials.star);
+    stars.name = spec.stars.name || 'stars';
+    stars.position.copy(windowHole.position);
+    stars.rotation.copy(windowHole.rotation);
+    return [windowHole, stars];
+}
+
+// Places a door in the hole it cut in its wall: `offset` along the wall,
+// standing on the floor and facing into the room
+function placeInWall(spec, size) {
+    const placement = wallPlacements[spec.wall];
+    if (!placement) throw new Error(`Unknown wall "${spec.wall}" for door "${spec.name}" in room document.`);
+    const { position, rotationY } = placement(size);
+    const along = new THREE.Vector3(spec.offset ?? 0, 0, 0).applyAxisAngle(THREE.Object3D.DEFAULT_UP, rotationY);
+    const height = spec.height ?? 6;
+    return {
+        ...spec,
+        position: [position[0] + along.x, -size.height / 2 + height / 2, position[2] + along.z],
+        rotation: [0, rotationY, 0]
+    };
+}
+
+// Three emissive bars outlining the doorway and a panel that slides sideways
+// into the wall (see roomNetwork.js). The door's size and where it leads are
+// kept in userData.door.
+function buildDoor(spec, materials) {
+    const width = spec.width ?? 3;
+    const height = spec.height ?? 6;
+    const bar = spec.barThickness ?? 0.1;
+    const name = spec.name || 'door';
+    const doorFrame = new THREE.Group();
+    const doorLightTop = new THREE.Mesh(new THREE.BoxGeometry(width, bar, bar), materials.emissive);
+    const doorLightLeft = new THREE.Mesh(new THREE.BoxGeometry(bar, height, bar), materials.emissive);
+    const doorLightRight = new THREE.Mesh(new THREE.BoxGeometry(bar, height, bar), materials.emissive);
+    doorLightTop.position.y = height / 2;
+    doorLightLeft.position.x = -width / 2;
+    doorLightRight.position.x = width / 2;
+    doorFrame.add(doorLightTop, doorLightLeft, doorLightRight);
+
+    const panel = new THREE.Mesh(new THREE.BoxGeometry(width, height, 0.08), materials.panel);
+    panel.name = `${name}Panel`;
+    const seam = new THREE.Mesh(new THREE.BoxGeometry(0.04, height * 0.8, 0.1), materials.emissive);
+    panel.add(seam);
+    doorFrame.add(panel);
+    doorFrame.userData.door = { width, height, leadsTo: spec.leadsTo || null };
+    return applyTransform(doorFrame, spec);
+}
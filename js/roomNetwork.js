@@ -0,0 +1,276 @@
+// ===================================
+//          CONNECTED ROOMS
+// ===================================
+// Sliding doors and the rooms behind them. A door in a room document names
+// the room it opens onto and the door it arrives through:
+//
+//   { "name": "doorFrame", "type": "door", "wall": "left", "offset": -2,
+//     "leadsTo": { "room": "corridor", "door": "entrance" } }
+//
+// That room is loaded when the camera comes within `preloadDistance` of the
+// door and placed so the two doorways meet back to back, wall to wall. Its
+// own doors can lead on, so rooms chain as far as the documents go. The door
+// slides open when the camera is within `openDistance`, or when open() is
+// called (a click), and closes again once the camera has moved away. Rooms
+// that are neither the one the camera is in nor right behind one of its
+// doors are unloaded; the starting room is only hidden.
+//
+// Dispatches 'load' ({ name, room }) and 'unload' ({ name, room }) as rooms
+// come and go, and 'enter' ({ name, document }) when the camera moves into
+// another room.
+import * as THREE from 'three';
+import { loadRoomDocument, buildRoom } from './roomLoader.js';
+import { easeInOutCubic } from './cameraTween.js';
+
+const WALL_THICKNESS = 0.2;
+const _local = new THREE.Vector3();
+const _world = new THREE.Vector3();
+const _inverse = new THREE.Matrix4();
+const _flip = new THREE.Matrix4().makeRotationY(Math.PI);
+const _behind = new THREE.Matrix4().makeTranslation(0, 0, -WALL_THICKNESS);
+
+export function createRoomNetwork({
+    scene,
+    camera,
+    home,                       // { name, document, room } of the room already in the scene
+    materials,
+    screens = {},
+    openDistance = 4,
+    preloadDistance = 10,
+    openTime = 0.8,             // seconds for a panel to slide fully open
+    loadDocument = loadRoomDocument
+}) {
+    const network = new THREE.EventDispatcher();
+    const rooms = new Map();    // name -> { name, document, room, inverse, doors, colliders, home }
+    const pending = new Map();  // name -> promise of a room being loaded
+    const failed = new Set();   // doors whose room could not be loaded stay shut
+    let current = home.name;
+
+    // --- Rooms ---
+    function register(name, document, room, isHome = false) {
+        room.root.updateMatrixWorld(true);
+        const record = {
+            name,
+            document,
+            room,
+            home: isHome,
+            inverse: room.root.matrixWorld.clone().invert(),
+            doors: new Map(),
+            colliders: (document.colliders || [])
+                .map(objectName => room.objects[objectName])
+                .filter(Boolean)
+                .map(object => new THREE.Box3().setFromObject(object))
+        };
+        Object.values(room.objects).forEach(object => {
+            if (!object.userData.door) return;
+            record.doors.set(object.name, {
+                room: record,
+                object,
+                panel: room.objects[`${object.name}Panel`],
+                ...object.userData.door,
+                amount: 0,
+                held: false,
+                visited: false,
+                twin: null
+            });
+        });
+        rooms.set(name, record);
+        return record;
+    }
+
+    // Builds the room a door leads to and lines its arrival door up with this one
+    function load(door) {
+        const { room: name, door: arrival } = door.leadsTo;
+        if (rooms.has(name) || pending.has(name) || failed.has(door)) return;
+        const promise = loadDocument(name)
+            .then(document => {
+                // The room the door is in may have gone while this one loaded
+                if (rooms.get(door.room.name) !== door.room) return;
+                const room = buildRoom(document, { materials, screens });
+                const other = room.objects[arrival];
+                if (!other || !other.userData.door) throw new Error(`Room "${name}" has no door "${arrival}".`);
+                // Both doorways face each other across the two walls
+                room.root.updateMatrixWorld(true);
+                door.object.updateWorldMatrix(true, false);
+                room.root.matrix.copy(door.object.matrixWorld)
+                    .multiply(_behind)
+                    .multiply(_flip)
+                    .multiply(_inverse.copy(other.matrixWorld).invert());
+                room.root.matrix.decompose(room.root.position, room.root.quaternion, room.root.scale);
+                scene.add(room.root);
+                const record = register(name, document, room);
+                link(door, record.doors.get(arrival));
+                network.dispatchEvent({ type: 'load', name, room });
+            })
+            .catch(error => {
+                failed.add(door);
+                console.warn(`Could not load room "${name}" behind door "${door.object.name}".`, error);
+            })
+            .finally(() => pending.delete(name));
+        pending.set(name, promise);
+    }
+
+    function link(door, other) {
+        door.twin = other;
+        other.twin = door;
+        other.amount = door.amount;
+    }
+
+    function unload(record) {
+        record.doors.forEach(door => {
+            if (door.twin) door.twin.twin = null;
+        });
+        if (record.home) {
+            record.room.root.visible = false;
+            return;
+        }
+        rooms.delete(record.name);
+        record.room.root.removeFromParent();
+        // Materials are shared with every other room
+        record.room.root.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.isInstancedMesh) object.dispose();
+        });
+        network.dispatchEvent({ type: 'unload', name: record.name, room: record.room });
+    }
+
+    // A room that was only hidden gets its doors back when it is next to the camera again
+    function relink(door) {
+        const other = door.leadsTo && rooms.get(door.leadsTo.room);
+        const arrival = other && other.doors.get(door.leadsTo.door);
+        if (arrival && !door.twin) link(door, arrival);
+    }
+
+    function contains(record, point, margin = 0) {
+        _local.copy(point).applyMatrix4(record.inverse);
+        const { width, height, depth } = record.room.size;
+        return Math.abs(_local.x) <= width / 2 - margin &&
+            Math.abs(_local.y) <= height / 2 &&
+            Math.abs(_local.z) <= depth / 2 - margin;
+    }
+
+    // --- Doors ---
+    function findDoor(nameOrObject) {
+        for (const record of rooms.values()) {
+            for (const door of record.doors.values()) {
+                if (door.object === nameOrObject || door.object.name === nameOrObject) return door;
+            }
+        }
+        return null;
+    }
+
+    // Keeps a door open until the camera has been and gone
+    function open(nameOrObject) {
+        const door = findDoor(nameOrObject);
+        if (!door || !door.leadsTo) return false;
+        door.held = true;
+        door.visited = false;
+        load(door);
+        return true;
+    }
+
+    function close(nameOrObject) {
+        const door = findDoor(nameOrObject);
+        if (!door) return false;
+        door.held = false;
+        if (door.twin) door.twin.held = false;
+        return true;
+    }
+
+    function distanceTo(door) {
+        return camera.position.distanceTo(door.object.getWorldPosition(_world));
+    }
+
+    function updateDoor(door, delta) {
+        const distance = distanceTo(door);
+        if (door.held && distance < openDistance) door.visited = true;
+        if (door.held && door.visited && distance > preloadDistance) door.held = false;
+        const near = distance < openDistance || door.held;
+        const wanted = near || (door.twin && (door.twin.held || distanceTo(door.twin) < openDistance));
+        // Nothing to see until the room behind it is there
+        const target = wanted && door.twin ? 1 : 0;
+        const step = delta / openTime;
+        door.amount = target > door.amount ? Math.min(door.amount + step, 1) : Math.max(door.amount - step, 0);
+        if (door.panel) door.panel.position.x = easeInOutCubic(door.amount) * door.width;
+    }
+
+    // --- Per frame ---
+    function update(delta) {
+        camera.updateMatrixWorld();
+        const here = [...rooms.values()].find(record => record.name === current && contains(record, camera.position)) ||
+            [...rooms.values()].find(record => contains(record, camera.position));
+        if (here && here.name !== current) {
+            current = here.name;
+            network.dispatchEvent({ type: 'enter', name: current, document: here.document });
+        }
+        const currentRecord = rooms.get(current);
+
+        // The current room and whatever is right behind its doors stay loaded
+        const keep = new Set([current]);
+        currentRecord.doors.forEach(door => {
+            if (!door.leadsTo) return;
+            relink(door);
+            if (distanceTo(door) < preloadDistance || door.held || door.amount > 0) {
+                keep.add(door.leadsTo.room);
+                load(door);
+            }
+        });
+        rooms.forEach(record => {
+            if (keep.has(record.name)) {
+                record.room.root.visible = true;
+                record.doors.forEach(relink);
+            } else if (record.room.root.visible) {
+                unload(record);
+            }
+        });
+        rooms.forEach(record => {
+            if (record.room.root.visible) record.doors.forEach(door => updateDoor(door, delta));
+        });
+    }
+
+    // --- Walking ---
+    // For walk mode: inside any shown room, clear of its colliders, or in an
+    // open doorway. `radius` is the player's.
+    function canStandAt(x, z, radius) {
+        const point = _world.set(x, camera.position.y, z);
+        for (const record of rooms.values()) {
+            if (!record.room.root.visible) continue;
+            for (const door of record.doors.values()) {
+                if (door.amount < 0.9 || !door.twin) continue;
+                _local.copy(point).applyMatrix4(_inverse.copy(door.object.matrixWorld).invert());
+                // Across both walls and a little way into each room
+                if (Math.abs(_local.x) <= door.width / 2 - radius &&
+                    _local.z <= radius + 1 && _local.z >= -WALL_THICKNESS - radius - 1) return true;
+            }
+        }
+        for (const record of rooms.values()) {
+            if (!record.room.root.visible || !contains(record, point, radius + WALL_THICKNESS / 2)) continue;
+            return !record.colliders.some(box =>
+                x > box.min.x - radius && x < box.max.x + radius && z > box.min.z - radius && z < box.max.z + radius);
+        }
+        return false;
+    }
+
+    // Floor and ceiling heights of the room the camera is in, in world space
+    function verticalRange() {
+        const { room } = rooms.get(current);
+        const center = _world.setFromMatrixPosition(room.root.matrixWorld).y;
+        return { min: center - room.size.height / 2, max: center + room.size.height / 2 };
+    }
+
+    function dispose() {
+        [...rooms.values()].forEach(record => {
+            if (!record.home) unload(record);
+        });
+    }
+
+    register(home.name, home.document, home.room, true);
+
+    Object.assign(network, { update, open, close, canStandAt, verticalRange, dispose });
+    Object.defineProperties(network, {
+        current: { get: () => current },
+        loaded: { get: () => [...rooms.keys()] },
+        ready: { get: () => Promise.all(pending.values()) }
+    });
+    return network;
+}
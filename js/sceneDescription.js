@@ -0,0 +1,145 @@
+// ===================================
+//     SCREEN READER DESCRIPTION
+// ===================================
+// Describes the room to screen readers and makes its main objects reachable
+// with Tab. The canvas is labelled as an image with an offscreen description;
+// each hotspot is a button that, when focused, is outlined in the scene and
+// shown where its object is on screen. Enter or Space flies the camera to it
+// like a click. What the camera focuses on, and rooms entered through doors,
+// are announced through a polite live region.
+//
+// The words come from the room document:
+//
+//   "description": "A dark office lit by cyan neon ...",
+//   "hotspots": [
+//       { "object": "mainMonitor", "label": "Main monitor", "description": "Code rains down the screen." }
+//   ]
+import * as THREE from 'three';
+
+const _center = new THREE.Vector3();
+const _box = new THREE.Box3();
+let instances = 0;
+
+// "officeChair" -> "office chair", for objects without a label
+function readableName(name) {
+    return name.replace(/([a-z])([A-Z0-9])/g, '$1 $2').toLowerCase();
+}
+
+export function createSceneDescription({
+    container,
+    canvas,
+    camera,
+    picker,
+    objects,                    // name -> Object3D, as buildRoom returns them
+    description = '',
+    hotspots = []
+}) {
+    const id = `scene-description-${++instances}`;
+    const labels = new Map();   // Object3D -> { label, description }
+
+    // --- Offscreen text ---
+    const region = document.createElement('div');
+    region.className = 'scene-description';
+    region.id = id;
+    const summary = document.createElement('p');
+    const status = document.createElement('p');
+    status.setAttribute('aria-live', 'polite');
+    region.append(summary, status);
+    container.appendChild(region);
+
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', 'Sci-fi room');
+    canvas.setAttribute('aria-describedby', id);
+
+    // --- Hotspots ---
+    const group = document.createElement('div');
+    group.className = 'hotspots';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', 'Objects in the room');
+    container.appendChild(group);
+    let focused = null;         // { object, button } of the focused hotspot
+
+    const buttons = hotspots.map(spec => {
+        const object = objects[spec.object];
+        if (!object) {
+            console.warn(`Hotspot for unknown object "${spec.object}" in room document.`);
+            return null;
+        }
+        const label = spec.label || readableName(spec.object);
+        labels.set(object, { label, description: spec.description || '' });
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'hotspot';
+        button.textContent = label;
+        if (spec.description) button.setAttribute('aria-description', spec.description);
+        button.addEventListener('focus', () => {
+            focused = { object, button };
+            picker.highlight(object);
+            place(object, button);
+        });
+        button.addEventListener('blur', () => {
+            focused = null;
+            picker.highlight(null);
+        });
+        button.addEventListener('click', () => picker.focus(object));
+        group.appendChild(button);
+        return button;
+    }).filter(Boolean);
+
+    // Over the middle of the object's bounds, kept inside the container
+    function place(object, button) {
+        _box.setFromObject(object).getCenter(_center).project(camera);
+        const x = THREE.MathUtils.clamp((_center.x + 1) / 2, 0.05, 0.95) * container.clientWidth;
+        const y = THREE.MathUtils.clamp((1 - _center.y) / 2, 0.05, 0.95) * container.clientHeight;
+        button.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%)`;
+    }
+
+    function labelFor(object) {
+        return labels.get(object) || { label: readableName(object.name || 'object'), description: '' };
+    }
+
+    function announce(text) {
+        // Cleared first so the same message is read again
+        status.textContent = '';
+        requestAnimationFrame(() => { status.textContent = text; });
+    }
+
+    function describe(text) {
+        summary.textContent = text;
+    }
+
+    function onSelect({ object }) {
+        const { label, description: about } = labelFor(object);
+        announce(about ? `Focused on the ${label}. ${about}` : `Focused on the ${label}.`);
+    }
+
+    function onDeselect() {
+        if (!picker.selected) announce('Back to the room view.');
+    }
+
+    picker.addEventListener('select', onSelect);
+    picker.addEventListener('deselect', onDeselect);
+
+    // The focused hotspot follows its object as the camera moves
+    function update() {
+        if (focused) place(focused.object, focused.button);
+    }
+
+    function dispose() {
+        picker.removeEventListener('select', onSelect);
+        picker.removeEventListener('deselect', onDeselect);
+        region.remove();
+        group.remove();
+        ['role', 'aria-label', 'aria-describedby'].forEach(name => canvas.removeAttribute(name));
+    }
+
+    describe(description);
+
+    return {
+        announce,
+        describe,
+        update,
+        dispose,
+        get hotspots() { return buttons; }
+    };
+}
@@ -0,0 +1,115 @@
+// ===================================
+//         ANIMATION SCHEDULER
+// ===================================
+// One clock for everything that moves. Subsystems register an update
+// function and receive the seconds since the last frame:
+//
+//   const remove = scheduler.add((delta, elapsed) => { ... });
+//
+// Scene animation gets scaled time: it stops while paused and runs slower or
+// faster with `timeScale`. Tasks added with { realtime: true } (camera
+// controls, the terminal cursor, rendering) always get wall-clock time so
+// the room stays navigable while frozen. Lower `priority` runs first.
+//
+// step(delta) advances exactly `delta` seconds of scene time without looking
+// at the wall clock, so a paused scene can be stepped frame by frame and
+// renders the same frames every time.
+
+export function createScheduler({ maxDelta = 0.1 } = {}) {
+    const tasks = [];
+    let paused = false;
+    let timeScale = 1;
+    let elapsed = 0;       // scene time in seconds
+    let lastTime = null;   // wall-clock timestamp of the previous tick, ms
+    let frameId = null;
+
+    function add(update, { realtime = false, priority = 0 } = {}) {
+        const task = { update, realtime, priority };
+        // Keep tasks sorted by priority, in insertion order within one priority
+        const index = tasks.findIndex(other => other.priority > priority);
+        if (index === -1) tasks.push(task);
+        else tasks.splice(index, 0, task);
+        return () => remove(update);
+    }
+
+    function remove(update) {
+        const index = tasks.findIndex(task => task.update === update);
+        if (index !== -1) tasks.splice(index, 1);
+    }
+
+    function run(sceneDelta, realDelta) {
+        elapsed += sceneDelta;
+        // Copy so tasks may add or remove tasks while running
+        tasks.slice().forEach(task => {
+            task.update(task.realtime ? realDelta : sceneDelta, elapsed);
+        });
+    }
+
+    // Advances by the wall-clock time since the last tick. Long gaps (a
+    // background tab, a breakpoint) are clamped to maxDelta.
+    function tick(now = performance.now()) {
+        const realDelta = lastTime === null ? 0 : Math.min((now - lastTime) / 1000, maxDelta);
+        lastTime = now;
+        advance(realDelta);
+    }
+
+    function step(delta = 1 / 60) {
+        run(delta, delta);
+    }
+
+    // Like tick(), but by a wall-clock delta measured elsewhere, for a clock
+    // that is driven from another loop instead of its own.
+    function advance(realDelta) {
+        run(paused ? 0 : realDelta * timeScale, realDelta);
+    }
+
+    // --- requestAnimationFrame loop ---
+    function loop(now) {
+        frameId = requestAnimationFrame(loop);
+        tick(now);
+    }
+
+    function start() {
+        if (frameId !== null) return;
+        lastTime = null;
+        frameId = requestAnimationFrame(loop);
+    }
+
+    function stop() {
+        if (frameId === null) return;
+        cancelAnimationFrame(frameId);
+        frameId = null;
+    }
+
+    return {
+        add,
+        remove,
+        tick,
+        step,
+        advance,
+        start,
+        stop,
+        pause() { paused = true; },
+        resume() { paused = false; },
+        get isPaused() { return paused; },
+        get isRunning() { return frameId !== null; },
+        get elapsed() { return elapsed; },
+        get timeScale() { return timeScale; },
+        set timeScale(value) { timeScale = Math.max(0, value); }
+    };
+}
+
+// Wraps an update so it runs at most once per `getInterval()` seconds, with
+// the time gathered since its last run. For work that doesn't need every
+// frame, like redrawing canvas textures.
+export function throttled(update, getInterval) {
+    let pending = 0;
+    return (delta, elapsed) => {
+        pending += delta;
+        // A little slack so a 60 Hz display isn't skipped at a 60 Hz rate
+        if (pending < getInterval() - 0.002) return;
+        const gathered = pending;
+        pending = 0;
+        update(gathered, elapsed);
+    };
+}
@@ -0,0 +1,776 @@
+// ===================================
+//            SCI-FI ROOM
+// ===================================
+// The whole room as a component. It renders into `container`, sizes itself
+// from it with a ResizeObserver and keeps its keyboard shortcuts to it, so
+// several rooms can share a page. Resolves once the room document is loaded:
+//
+//   const sciFiRoom = await createSciFiRoom(element, { room: 'default', quality: 'medium' });
+//   sciFiRoom.stop();       // freezes the render loop
+//   sciFiRoom.start();
+//   sciFiRoom.dispose();    // frees the GPU resources, listeners and the canvas
+//
+// The handle also carries the subsystems (scene, camera, screens,
+// themeManager, ...) for scripting. The container needs a size of its own;
+// the canvas fills it.
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { createMaterials, neonColor } from './materials.js';
+import { loadRoomDocument, roomDocumentUrl, buildRoom } from './roomLoader.js';
+import { createWalkMode } from './walkMode.js';
+import { createCameraTween } from './cameraTween.js';
+import { createPicker } from './picking.js';
+import { createTerminal } from './terminal.js';
+import { createScheduler, throttled } from './scheduler.js';
+import { createScreenPalette, createThemeManager } from './themes.js';
+import { createCharacterAnimator } from './characterAnimator.js';
+import { createRenderStats } from './renderStats.js';
+import { createAdaptiveQuality, qualityLevels } from './adaptiveQuality.js';
+import { createCapture } from './capture.js';
+import { exportGLTF } from './gltfExport.js';
+import { loadSlotModels } from './modelSlots.js';
+import { createBookmarks } from './cameraBookmarks.js';
+import { createCameraTour, loadTourDocument } from './cameraTour.js';
+import { createTweakPanel } from './tweakPanel.js';
+import { createSolarSystem } from './solarSystem.js';
+import { createWindowView } from './windowView.js';
+import { createRoomNetwork } from './roomNetwork.js';
+import { createScreenManager } from './screens.js';
+import { createRoomLighting, lightingModes } from './roomLighting.js';
+import { createFloorReflection } from './floorReflection.js';
+import { createMotionPreference } from './reducedMotion.js';
+import { createKeyboardOrbit } from './keyboardOrbit.js';
+import { createSceneDescription } from './sceneDescription.js';
+import { createTouchControls } from './touchControls.js';
+import { createGyroLook } from './gyroLook.js';
+import { createAssetManager } from './assetManager.js';
+import { createLoadingScreen } from './loadingScreen.js';
+// Note: CapsuleGeometry is not available in this version, using CylinderGeometry instead
+
+
+export async function createSciFiRoom(container, {
+    room: roomName = 'default',         // room document name or .json URL
+    quality: qualityLevel = null,       // pins an adaptive quality level by name
+    lighting: lightingMode = null,      // pins a lighting mode (see roomLighting.js)
+    windowView: showWindowView = true,  // false keeps the flat starfield
+    glossyFloor = false,                // the floor reflection (see floorReflection.js)
+    tweaks: showTweaks = false,         // shows the tweak panel on load
+    preset = null,                      // URL of a tweak panel preset
+    tour: tourName = null,              // tour to start, by name or .json URL
+    stats = false,                      // shows the performance HUD on load
+    reducedMotion = null,               // true / false, or null to follow the system setting
+    input: inputProfile = null,         // 'mouse' or 'touch' controls, null follows the device
+    autoStart = true                    // false waits for start()
+} = {}) {
+    if (!container || !container.appendChild) throw new Error('createSciFiRoom needs a container element.');
+    // Keyboard shortcuts go to the container once it has focus; the page
+    // itself takes them from anywhere
+    const standalone = container === document.body;
+    const keyTarget = standalone ? document : container;
+    if (!standalone && container.tabIndex < 0) container.tabIndex = 0;
+    // The HUD and walk hint are placed inside the container
+    if (getComputedStyle(container).position === 'static') container.style.position = 'relative';
+    let width = Math.max(1, container.clientWidth);
+    let height = Math.max(1, container.clientHeight);
+    let disposed = false;
+    // Listeners added here, removed again by dispose()
+    const cleanups = [];
+    function listen(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        cleanups.push(() => target.removeEventListener(type, listener, options));
+    }
+
+    // ===================================
+    //      SCENE, CAMERA, RENDERER
+    // ===================================
+    // The scene is the container for all 3D objects
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x010A10);
+
+    // The camera determines our viewpoint
+    const camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
+
+    // The renderer draws the scene onto the HTML canvas, which fills the
+    // container; resize() keeps its drawing buffer matched to it
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setSize(width, height, false);
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.toneMapping = THREE.ReinhardToneMapping;
+    Object.assign(renderer.domElement.style, { width: '100%', height: '100%' });
+    container.appendChild(renderer.domElement);
+    if (!standalone) listen(renderer.domElement, 'pointerdown', () => container.focus({ preventScroll: true }));
+
+
+    // ===================================
+    //              ASSETS
+    // ===================================
+    // Textures and models load through one manager (see js/assetManager.js),
+    // from the local bundle in assets/textures/ before any remote source, and
+    // a progress bar covers the room until they are in.
+    const assets = createAssetManager({ renderer });
+    const loadingScreen = createLoadingScreen({ assets, parent: container });
+
+
+    // ===================================
+    //          CAMERA CONTROLS
+    // ===================================
+    // Allows moving the camera with the mouse or fingers. Speeds and damping
+    // come from the mouse or touch profile (see TOUCH & GYROSCOPE below).
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+
+
+    // ===================================
+    //          ANIMATION CLOCK
+    // ===================================
+    // Every animated subsystem registers here and gets the frame's delta time.
+    // Pause, time scale and single-stepping apply to all of them at once.
+    const scheduler = createScheduler();
+
+
+    // ===================================
+    //         MATERIALS & COLORS
+    // ===================================
+    const materials = createMaterials();
+
+
+    // ===================================
+    //          MONITOR SCREENS
+    // ===================================
+    // What a screen shows comes from a content provider registered by name (see
+    // js/screens.js). The room document picks one per monitor with "screen";
+    // swap it at runtime with screens.setContent('mainMonitor', 'clock').
+    // Screen colors are owned by the theme manager (see COLOR THEMES below).
+    const screenPalette = createScreenPalette();
+    const screens = createScreenManager({ scene, context: { palette: screenPalette } });
+    // Seconds between canvas redraws; lowered by adaptive quality on slow machines
+    let canvasInterval = 1 / 60;
+    scheduler.add(throttled(screens.update, () => canvasInterval));
+
+    // Interactive shell, drawn on a canvas of its own and shown on the side
+    // monitor while that is focused (see OBJECT PICKING).
+    // Add commands with terminal.registerCommand(name, { description, run }).
+    const terminalCanvas = document.createElement('canvas');
+    terminalCanvas.width = 256;
+    terminalCanvas.height = 190;
+    const terminalTexture = new THREE.CanvasTexture(terminalCanvas);
+    terminalTexture.minFilter = THREE.LinearFilter;
+    const terminal = createTerminal({ canvas: terminalCanvas, texture: terminalTexture, keyTarget });
+    screens.registerProvider('terminal', () => ({ texture: terminalTexture }));
+    scheduler.add(terminal.update, { realtime: true });
+
+
+    // ===================================
+    //           ROOM LAYOUT
+    // ===================================
+    // The walls, furniture, light strips, window and door come from a room
+    // document. Pick a variant with the `room` option (loads rooms/<name>.json).
+    const roomDocument = await loadRoomDocument(roomName);
+    const room = buildRoom(roomDocument, { materials });
+    scene.add(room.root);
+    screens.attach(room.root);
+    if (roomDocument.background) scene.background.set(roomDocument.background);
+
+    const roomSize = room.size;
+    const {
+        workstation, desk, keyboard, mouse, mainMonitor, sideMonitor,
+        officeChair, person, doorFrame, windowHole, stars, ringLight, floorLight1
+    } = room.objects;
+
+    // GLB models listed under "models" in the room document (with paths relative
+    // to it) replace the procedural chair, person, desk, ... as they arrive; a
+    // model that fails to load leaves the procedural one in place. Resolves to
+    // { slotName: { model, mixer, actions } }.
+    const modelLoading = new AbortController();
+    const models = loadSlotModels(room.objects, roomDocument.models, {
+        scheduler,
+        loader: new GLTFLoader(assets.manager),
+        baseUrl: roomDocumentUrl(roomName),
+        signal: modelLoading.signal
+    });
+
+    // `export workstation` in the terminal downloads a named object as .glb, plain
+    // `export` the whole scene; from code, use exportGLTF(object, options)
+    terminal.registerCommand('export', {
+        description: 'export [object]: download the scene or a named object as .glb',
+        run: async args => {
+            const target = args[0] ? room.objects[args[0]] : scene;
+            if (!target) return `export: no object named "${args[0]}" (try ${Object.keys(room.objects).slice(0, 4).join(', ')}, ...)`;
+            const blob = await exportGLTF(target, { renderer, download: true, filename: `${args[0] || 'scifi-room'}.glb` });
+            return `exported ${args[0] || 'scene'} (${(blob.size / 1024).toFixed(0)} KB)`;
+        }
+    });
+
+
+    // ===================================
+    //          CONNECTED ROOMS
+    // ===================================
+    // Doors with "leadsTo" in the room document slide open as the camera comes
+    // near (or on a click) onto the next room, which is loaded when you approach
+    // and dropped again once you have left it.
+    const roomNetwork = createRoomNetwork({
+        scene,
+        camera,
+        home: { name: roomName, document: roomDocument, room },
+        materials
+    });
+
+
+    // ===================================
+    //             SCENE LIGHTING
+    // ===================================
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.15);
+    ambientLight.name = 'ambientLight';
+    scene.add(ambientLight);
+    const monitorLight = new THREE.PointLight(neonColor, 100, 15);
+    monitorLight.name = 'monitorLight';
+    monitorLight.position.set(0, -0.5, -7);
+    scene.add(monitorLight);
+
+    // The light strips, the ring, door frames and keyboard underglow light the
+    // room in the neon color; the ring and the monitor light throw the
+    // workstation's shadows onto the desk, chair and floor. Follows the quality
+    // level unless the `lighting` option pins a mode.
+    const lighting = createRoomLighting({
+        renderer,
+        emissive: materials.emissive,
+        shadowLights: [monitorLight],
+        casters: [workstation],
+        mode: lightingModes.includes(lightingMode) ? lightingMode : 'shadows'
+    });
+    lighting.attach(room.root);
+    roomNetwork.addEventListener('load', ({ room: loaded }) => lighting.attach(loaded.root));
+    roomNetwork.addEventListener('unload', ({ room: unloaded }) => lighting.detach(unloaded.root));
+    scheduler.add(lighting.update);
+
+
+    // ===================================
+    //         POST-PROCESSING (BLOOM)
+    // ===================================
+    const composer = new EffectComposer(renderer);
+    composer.addPass(new RenderPass(scene, camera));
+    const bloomPass = new UnrealBloomPass(new THREE.Vector2(width, height), 1.5, 0.4, 0.85);
+    bloomPass.threshold = 0.05;
+    bloomPass.strength = 1.3;
+    bloomPass.radius = 0.6;
+    composer.addPass(bloomPass);
+
+    // Outlines the hovered and selected objects (see OBJECT PICKING below)
+    const outlinePass = new OutlinePass(new THREE.Vector2(width, height), scene, camera);
+    outlinePass.visibleEdgeColor.set(neonColor);
+    outlinePass.hiddenEdgeColor.set(0x0a3a3d);
+    outlinePass.edgeStrength = 4;
+    outlinePass.edgeThickness = 1.5;
+    composer.addPass(outlinePass);
+
+    // Applies renderer.toneMapping, the exposure and the sRGB conversion to the
+    // composed image. Off by default, which keeps the look the room was tuned
+    // with; switch it on from the tweak panel.
+    const outputPass = new OutputPass();
+    outputPass.enabled = false;
+    composer.addPass(outputPass);
+
+    // Steps pixel ratio, shadows, bloom resolution, screen redraw rate, area
+    // lights and finally bloom down when frames run over budget. The `quality`
+    // option pins a level instead.
+    const quality = createAdaptiveQuality({ renderer, composer, bloomPass });
+    let lightingFollowsQuality = !lightingModes.includes(lightingMode);
+    quality.addEventListener('change', ({ settings }) => {
+        canvasInterval = 1 / settings.canvasRate;
+        if (lightingFollowsQuality) lighting.setMode(settings.lighting);
+    });
+    const pinnedQuality = qualityLevels.findIndex(level => level.name === qualityLevel);
+    if (pinnedQuality !== -1) {
+        quality.setAdaptive(false);
+        quality.setLevel(pinnedQuality);
+    }
+    scheduler.add(quality.update, { realtime: true });
+
+
+    // ===================================
+    //       VIEW THROUGH THE WINDOW
+    // ===================================
+    // The solar system, rendered offscreen and seen through the window with
+    // parallax. It keeps its own clock (windowView.clock) and animates at the
+    // quality level's screen redraw rate. `windowView: false` keeps the flat
+    // starfield. The planets stand where they are on the solar system's
+    // simulation clock; the `orbits` command runs it.
+    let windowView = null;
+    let solarSystem = null;
+    if (showWindowView) {
+        // The window is small on screen, so 2k textures are plenty
+        solarSystem = createSolarSystem({ assets, tier: '2k', starsCount: 20000, segments: 32 });
+        windowView = createWindowView({
+            renderer,
+            camera,
+            window: windowHole,
+            content: solarSystem,
+            updateRate: quality.settings.canvasRate
+        });
+        stars.visible = false;
+        quality.addEventListener('change', ({ settings }) => {
+            windowView.updateRate = settings.canvasRate;
+        });
+        // Before the render task, with the room's wall-clock time
+        scheduler.add(windowView.update, { realtime: true, priority: 90 });
+
+        const orbitClock = solarSystem.clock;
+        const clockActions = {
+            play: () => orbitClock.play(),
+            pause: () => orbitClock.pause(),
+            reverse: () => orbitClock.reverse(),
+            faster: () => orbitClock.faster(),
+            slower: () => orbitClock.slower(),
+            now: () => orbitClock.setDate(Date.now())
+        };
+        terminal.registerCommand('orbits', {
+            description: 'orbits <play|pause|reverse|faster|slower|now|YYYY-MM-DD>: run the planets\' clock',
+            run: args => {
+                if (args[0] in clockActions) clockActions[args[0]]();
+                else if (/^-?\d{4,}-\d\d-\d\d$/.test(args[0] || '')) orbitClock.setDate(`${args[0]}T00:00:00Z`);
+                else if (args[0]) return `orbits: unknown action "${args[0]}" (${Object.keys(clockActions).join(', ')} or a date)`;
+                const date = orbitClock.date.toISOString().slice(0, 16).replace('T', ' ');
+                return `orbits: ${date} UTC, ${orbitClock.reversed ? 'reversed, ' : ''}${orbitClock.speedLabel}${orbitClock.playing ? '' : ', paused'}`;
+            }
+        });
+    }
+
+
+    // ===================================
+    //            GLOSSY FLOOR
+    // ===================================
+    // An optional planar reflection in the floor: the neon strips, monitors and
+    // ring show up in it, softened by `blur`, and bloom along with the rest of the
+    // frame. The `glossyFloor` option switches it on; the tweak panel has the
+    // settings.
+    const floorReflection = createFloorReflection({
+        renderer,
+        scene,
+        camera,
+        floor: room.objects.floor,
+        enabled: glossyFloor
+    });
+    // Before the render task, after the window view it may reflect
+    scheduler.add(floorReflection.update, { realtime: true, priority: 95 });
+
+
+    // ===================================
+    //            COLOR THEMES
+    // ===================================
+    // Switch with themeManager.apply('amber') or `theme amber` in the terminal; add
+    // new ones with themeManager.define(name, { neon, monitorLight, bloom, ... }).
+    const themeManager = createThemeManager({
+        scheduler,
+        scene,
+        neonMaterials: [materials.emissive],
+        monitorLight,
+        bloomPass,
+        outlinePass,
+        screenPalette,
+        terminal
+    });
+    // Keep slow-changing screens (code, clock, graphs) in step with a crossfade
+    themeManager.addEventListener('change', screens.refresh);
+    if (roomDocument.theme) themeManager.apply(roomDocument.theme, { duration: 0 });
+
+    terminal.registerCommand('theme', {
+        description: 'theme <name>: switch the room theme',
+        run: args => {
+            if (!args[0]) return `current: ${themeManager.current} (${themeManager.names.join(', ')})`;
+            if (!themeManager.names.includes(args[0])) return `theme: unknown theme "${args[0]}" (${themeManager.names.join(', ')})`;
+            themeManager.apply(args[0]);
+        }
+    });
+
+
+    // ===================================
+    //            TWEAK PANEL
+    // ===================================
+    // G toggles a panel for tone mapping, bloom, lights and materials; its presets
+    // export and import as JSON. The `tweaks` option opens it on load, `preset`
+    // applies a saved preset from a URL.
+    const tweaks = createTweakPanel({
+        renderer,
+        bloomPass,
+        outputPass,
+        lights: { ambientLight, monitorLight },
+        materials: { ...materials, ...Object.fromEntries(screens.list.map(screen => [screen.material.name, screen.material])) },
+        visible: showTweaks,
+        keyTarget,
+        container: standalone ? null : container
+    });
+    // A theme switch animates bloom and light colors underneath the panel
+    themeManager.addEventListener('change', () => tweaks.refresh());
+    // Picking a lighting mode here stops the quality level from changing it
+    const lightingFolder = tweaks.gui.addFolder('Neon lighting').close();
+    lightingFolder.add(lighting, 'mode', lightingModes).onChange(() => { lightingFollowsQuality = false; });
+    lightingFolder.add(lighting, 'stripIntensity', 0, 100, 1).name('strips');
+    lightingFolder.add(lighting, 'ringIntensity', 0, 600, 5).name('ring');
+    const floorFolder = tweaks.gui.addFolder('Floor reflection').close();
+    floorFolder.add(floorReflection, 'enabled');
+    floorFolder.add(floorReflection, 'strength', 0, 2, 0.01);
+    floorFolder.add(floorReflection, 'blur', 0, 6, 0.1);
+    floorFolder.add(floorReflection, 'resolution', 0.25, 1, 0.05);
+    if (preset) {
+        try {
+            const response = await fetch(preset);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            tweaks.applyPreset(await response.json());
+        } catch (error) {
+            console.warn(`Could not load preset ${preset}.`, error);
+        }
+    }
+
+
+    // ===================================
+    //       CAMERA & NAVIGATION MODES
+    // ===================================
+    camera.position.set(0, -1, 10);
+    controls.update();
+
+    // First-person walking, toggled with F
+    const walkMode = createWalkMode({
+        camera,
+        domElement: renderer.domElement,
+        orbitControls: controls,
+        roomSize,
+        colliders: [desk, officeChair],
+        canStandAt: roomNetwork.canStandAt,
+        keyTarget,
+        hintParent: container
+    });
+
+
+    // ===================================
+    //           OBJECT PICKING
+    // ===================================
+    // Click a workstation object to fly the camera to it, Escape to go back.
+    // Other modules can listen for 'hover', 'select' and 'deselect' on `picker`.
+    const cameraTween = createCameraTween(camera, controls);
+    const picker = createPicker({
+        camera,
+        scene,
+        domElement: renderer.domElement,
+        cameraTween,
+        outlinePass,
+        keyTarget,
+        targets: [
+            { object: mainMonitor, fromFront: true },
+            { object: sideMonitor, fromFront: true },
+            keyboard,
+            mouse,
+            officeChair,
+            doorFrame
+        ]
+    });
+
+    // Focusing the side monitor puts the terminal on it and hands it the keyboard
+    let sideContent = null;
+    picker.addEventListener('select', ({ object }) => {
+        if (object !== sideMonitor || terminal.isFocused) return;
+        const { provider, options } = screens.get('sideMonitor');
+        sideContent = { provider, options };
+        screens.setContent('sideMonitor', 'terminal');
+        terminal.focus();
+    });
+    picker.addEventListener('deselect', ({ object }) => {
+        if (object !== sideMonitor) return;
+        terminal.blur();
+        if (sideContent) screens.setContent('sideMonitor', sideContent.provider, sideContent.options);
+        sideContent = null;
+    });
+
+    // Clicking a door opens it; doors of rooms further along become clickable as they load
+    picker.addEventListener('select', ({ object }) => roomNetwork.open(object));
+    roomNetwork.addEventListener('load', ({ room: loaded }) => {
+        screens.attach(loaded.root);
+        Object.values(loaded.objects).forEach(object => {
+            if (object.userData.door) picker.add(object);
+        });
+    });
+    roomNetwork.addEventListener('unload', ({ room: unloaded }) => {
+        screens.detach(unloaded.root);
+        Object.values(unloaded.objects).forEach(object => picker.remove(object));
+    });
+
+
+    // ===================================
+    //      CAMERA BOOKMARKS & TOURS
+    // ===================================
+    // Number keys fly to the room document's bookmarks, Shift+number stores the
+    // current view. T runs the first tour; the `tour` option (a name or a .json
+    // URL) starts one on load for kiosk displays.
+    const bookmarks = createBookmarks({ cameraTween, bookmarks: roomDocument.bookmarks, keyTarget });
+    const tour = createCameraTour({
+        camera,
+        controls,
+        domElement: renderer.domElement,
+        bookmarks,
+        tours: roomDocument.tours,
+        keyTarget
+    });
+    // Only one thing may move the camera at a time
+    bookmarks.addEventListener('navigate', () => {
+        tour.interrupt();
+        walkMode.exit();
+    });
+    tour.addEventListener('start', () => {
+        walkMode.exit();
+        cameraTween.stop();
+    });
+
+    if (tourName) {
+        try {
+            if (tourName.endsWith('.json')) tour.define(tourName, await loadTourDocument(tourName));
+            tour.start(tourName);
+        } catch (error) {
+            console.warn(`Could not start tour "${tourName}".`, error);
+        }
+    }
+
+
+    // ===================================
+    //           ACCESSIBILITY
+    // ===================================
+    // Reduced motion follows prefers-reduced-motion unless the `reducedMotion`
+    // option or M (or `motion on|off|auto` in the terminal) overrides it: the
+    // animation clocks slow down, bloom is turned down, camera flights cut
+    // straight to their destination and tours travel slower.
+    const motion = createMotionPreference({
+        clocks: [scheduler, windowView && windowView.clock].filter(Boolean),
+        bloomPass,
+        themeManager,
+        reduced: reducedMotion
+    });
+    listen(keyTarget, 'keydown', event => {
+        if (event.code === 'KeyM' && !event.repeat && !event.ctrlKey && !event.metaKey) motion.toggle();
+    });
+    terminal.registerCommand('motion', {
+        description: 'motion <on|off|auto>: reduce motion, or follow the system setting',
+        run: args => {
+            const values = { on: true, off: false, auto: null };
+            if (!args[0]) return `motion: ${motion.reduced ? 'reduced' : 'full'}${motion.followsSystem ? ' (system setting)' : ''}`;
+            if (!(args[0] in values)) return `motion: unknown setting "${args[0]}" (on, off, auto)`;
+            motion.set(values[args[0]]);
+        }
+    });
+
+    // Arrow keys orbit, Shift+arrows pan, +/- zoom
+    const keyboardOrbit = createKeyboardOrbit({
+        camera,
+        controls,
+        keyTarget,
+        isBlocked: () => walkMode.isActive || terminal.isFocused
+    });
+
+    // Tab reaches the workstation objects; the room and whatever the camera
+    // focuses on are described to screen readers
+    const sceneDescription = createSceneDescription({
+        container,
+        canvas: renderer.domElement,
+        camera,
+        picker,
+        objects: room.objects,
+        description: roomDocument.description,
+        hotspots: roomDocument.hotspots
+    });
+    roomNetwork.addEventListener('enter', ({ document: entered }) => {
+        sceneDescription.describe(entered.description || '');
+        if (entered.description) sceneDescription.announce(entered.description);
+    });
+
+    function onMotionChange({ reduced }) {
+        controls.enableDamping = !reduced;
+        sceneDescription.announce(reduced ? 'Motion reduced.' : 'Full motion.');
+    }
+    motion.addEventListener('change', onMotionChange);
+    controls.enableDamping = !motion.reduced;
+
+
+    // ===================================
+    //        TOUCH & GYROSCOPE
+    // ===================================
+    // Phones and tablets get slower orbiting, a longer glide and pinching that
+    // stays inside the room; the `input` option pins a profile. On touch, a
+    // "Look around" button turns the view with the phone's gyroscope.
+    const touchControls = createTouchControls({
+        camera,
+        controls,
+        domElement: renderer.domElement,
+        roomSize,
+        canStandAt: roomNetwork.canStandAt,
+        verticalRange: roomNetwork.verticalRange,
+        profile: inputProfile
+    });
+    const gyro = createGyroLook({ camera, controls, buttonParent: container });
+    // Touch devices look with the gyroscope straight away; iOS asks first, so
+    // there it waits for a tap on the button. The button switches it off again.
+    function onProfileChange({ profile }) {
+        gyro.showButton = profile === 'touch';
+        if (profile !== 'touch') gyro.disable();
+        else if (!gyro.needsPermission) gyro.enable();
+    }
+    touchControls.addEventListener('change', onProfileChange);
+    onProfileChange({ profile: touchControls.profile });
+
+
+    // ===================================
+    //           ANIMATION LOOP
+    // ===================================
+    // Navigation runs on wall-clock time so the camera still moves while paused
+    scheduler.add(delta => {
+        tour.update(delta * motion.scale);
+        cameraTween.update(motion.reduced ? Infinity : delta);
+        if (walkMode.isActive) walkMode.update(delta);
+        else {
+            keyboardOrbit.update(delta);
+            gyro.update();
+            controls.update();
+            touchControls.constrain();
+        }
+        roomNetwork.update(delta);
+        sceneDescription.update();
+    }, { realtime: true });
+
+    // The seated person runs through keyframed clips (typing, leaning back,
+    // looking at the window, ...); trigger one with character.play('standUp').
+    const character = createCharacterAnimator({ person, chair: officeChair });
+    scheduler.add(character.update);
+
+    // FPS, frame time, draw calls and GPU memory; ` toggles it, the `stats` option shows it on load
+    const renderStats = createRenderStats(renderer, { visible: stats, quality, parent: container });
+    listen(keyTarget, 'keydown', event => {
+        if (event.code === 'Backquote') renderStats.toggle();
+    });
+
+    // The counters are cleared before the first task, so the offscreen passes
+    // (window view, floor reflection) are counted along with the composer
+    scheduler.add(renderStats.beginFrame, { realtime: true, priority: -Infinity });
+
+    // Rendering goes last, after everything else has moved
+    scheduler.add(delta => {
+        composer.render();
+        renderStats.endFrame(delta);
+    }, { realtime: true, priority: 100 });
+
+    // High-resolution stills and turntable videos, rendered through the composer.
+    // P saves a 4K PNG; see README for capture.recordTurntable() and recordPath().
+    const capture = createCapture({ renderer, composer, camera, controls, scheduler, bloomPass, quality });
+    listen(keyTarget, 'keydown', event => {
+        if (event.code !== 'KeyP' || event.repeat || capture.isBusy) return;
+        capture.screenshot({ width: 3840, height: 2160, download: true })
+            .catch(error => console.warn('Screenshot failed:', error));
+    });
+
+
+    // ===================================
+    //            LIFECYCLE
+    // ===================================
+    // Follows the container's size; a stopped room still redraws once so it isn't left stretched
+    function resize() {
+        width = Math.max(1, container.clientWidth);
+        height = Math.max(1, container.clientHeight);
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setSize(width, height, false);
+        composer.setSize(width, height);
+        // Re-applies the quality level's bloom resolution to the new size
+        quality.apply();
+        if (!scheduler.isRunning && !disposed) composer.render();
+    }
+    // A capture sizes the renderer itself and restores it afterwards
+    const resizeObserver = new ResizeObserver(() => {
+        if (!capture.isBusy) resize();
+    });
+    resizeObserver.observe(container);
+
+    function start() {
+        if (disposed) throw new Error('This room has been disposed.');
+        scheduler.start();
+    }
+
+    function stop() {
+        scheduler.stop();
+    }
+
+    // Everything a material holds on to: maps, and textures in shader uniforms
+    function disposeMaterial(material) {
+        Object.values(material).forEach(value => { if (value && value.isTexture) value.dispose(); });
+        Object.values(material.uniforms || {}).forEach(({ value }) => { if (value && value.isTexture) value.dispose(); });
+        material.dispose();
+    }
+
+    function dispose() {
+        if (disposed) return;
+        disposed = true;
+        stop();
+        // Models still loading stay out; the loaded ones' animations leave the scheduler
+        modelLoading.abort();
+        models.then(loaded => Object.values(loaded).forEach(({ remove }) => remove && remove()));
+        resizeObserver.disconnect();
+        cleanups.forEach(cleanup => cleanup());
+        motion.removeEventListener('change', onMotionChange);
+        touchControls.removeEventListener('change', onProfileChange);
+        [motion, sceneDescription, keyboardOrbit, gyro, touchControls, loadingScreen].forEach(part => part.dispose());
+        [tour, bookmarks, picker, walkMode, tweaks, terminal, renderStats, themeManager].forEach(part => part.dispose());
+        if (windowView) windowView.dispose();
+        [floorReflection, lighting, roomNetwork, screens].forEach(part => part.dispose());
+        controls.dispose();
+        composer.passes.forEach(pass => pass.dispose());
+        composer.dispose();
+        scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.isInstancedMesh) object.dispose();
+            [].concat(object.material || []).forEach(disposeMaterial);
+        });
+        Object.values(materials).forEach(disposeMaterial);
+        terminalTexture.dispose();
+        renderer.dispose();
+        renderer.forceContextLoss();
+        renderer.domElement.remove();
+    }
+
+    if (autoStart) start();
+
+    return {
+        start,
+        stop,
+        dispose,
+        resize,
+        container,
+        renderer,
+        composer,
+        quality,
+        assets,
+        scene,
+        camera,
+        controls,
+        scheduler,
+        picker,
+        terminal,
+        themeManager,
+        character,
+        capture,
+        models,
+        bookmarks,
+        tour,
+        tweaks,
+        windowView,
+        solarSystem,
+        roomNetwork,
+        screens,
+        lighting,
+        floorReflection,
+        motion,
+        sceneDescription,
+        touchControls,
+        gyro,
+        get isRunning() { return scheduler.isRunning; }
+    };
+}
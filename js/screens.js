@@ -0,0 +1,479 @@
+// ===================================
+//           SCREEN CONTENT
+// ===================================
+// Monitors and wall panels are screens; what they show comes from content
+// providers registered by name. A provider is a factory that gets the
+// options given with it, the manager's context ({ palette }, plus whatever
+// was passed in) and the screen it is for, and returns the content:
+//
+//   { texture, update(delta)?, refresh()?, dispose()? }
+//
+// Content that draws itself returns a `material` for the screen mesh
+// instead of a texture, like the shader-based matrix rain.
+//
+// canvasContent() builds that around a 2D canvas and a draw function, which
+// covers most screens:
+//
+//   screens.registerProvider('hello', options => canvasContent({
+//       width: 256, height: 128,
+//       draw: (ctx, delta, canvas) => { ctx.fillText('hello', 10, 64); return false; }
+//   }));
+//   screens.setContent('sideMonitor', 'hello');
+//
+// A draw function returns false when nothing changed, which skips the
+// texture upload. Built in: matrix (and the older matrixCanvas), code,
+// clock, sparkline, slideshow, image, video and html (see screenProviders). Monitors in a room document pick
+// theirs with "screen" and "screenOptions"; addScreen() puts up new ones
+// anywhere. update(delta) redraws all content; wrap it in throttled() to
+// redraw less often than every frame.
+import * as THREE from 'three';
+import { createMatrixRain, matrixCharsets } from './matrixRain.js';
+
+// --- Canvas content ---
+export function canvasContent({ width = 512, height = 256, draw, refresh = null, dispose = null }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+
+    function update(delta) {
+        if (draw(ctx, delta, canvas) !== false) texture.needsUpdate = true;
+    }
+
+    return {
+        canvas,
+        texture,
+        update,
+        // Redraws now, e.g. after the palette changed
+        refresh: () => {
+            if (refresh) refresh(ctx, canvas);
+            update(0);
+        },
+        dispose: () => {
+            if (dispose) dispose();
+            texture.dispose();
+        }
+    };
+}
+
+// --- Matrix rain ---
+// Drawn on the GPU (see matrixRain.js); the cells keep their shape whatever
+// the screen's proportions
+function matrixProvider(options, { palette }, screen) {
+    const size = new THREE.Box3().setFromBufferAttribute(screen.mesh.geometry.attributes.position).getSize(new THREE.Vector3());
+    const aspect = size.y > 0 ? size.x / size.y : 16 / 9;
+    return createMatrixRain({ aspect, ...options, palette });
+}
+
+// The earlier 2D canvas version, for when a texture is needed; glTF export
+// bakes the shader version itself (see gltfExport.js).
+// It was tuned as one step per 60 Hz frame; `frames` scales the speeds,
+// trail fade and respawn chance to however long this frame took.
+const MATRIX_FRAME = 1 / 60;
+function matrixCanvasProvider({ chars = matrixCharsets.latin, width = 512, height = 256 }, { palette }) {
+    chars = Array.from(matrixCharsets[chars] || chars);
+    const drops = [];
+    for (let i = 0; i < Math.floor(width / 14); i++) {
+        drops[i] = { y: Math.floor(Math.random() * height), speed: Math.random() * 3 + 1.5 };
+    }
+    return canvasContent({
+        width,
+        height,
+        draw(ctx, delta, canvas) {
+            if (delta === 0) return false;
+            const frames = delta / MATRIX_FRAME;
+            ctx.globalAlpha = 1 - Math.pow(1 - 0.18, frames);
+            ctx.fillStyle = palette.matrixFade.getStyle();
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.globalAlpha = 1;
+            ctx.font = 'bold 16px monospace';
+            const headStyle = palette.matrixHead.getStyle();
+            const trailStyle = palette.matrixTrail.getStyle();
+            drops.forEach((drop, i) => {
+                const char = chars[Math.floor(Math.random() * chars.length)];
+                ctx.fillStyle = headStyle;
+                ctx.fillText(char, i * 14, drop.y);
+                ctx.fillStyle = trailStyle;
+                ctx.fillText(char, i * 14, drop.y - 17);
+                drop.y += drop.speed * frames;
+                if (drop.y > canvas.height + 80 && Math.random() < 1 - Math.pow(0.96, frames)) drop.y = 0;
+            });
+        }
+    });
+}
+
+// --- Scrolling code ---
+const defaultCode = ['def fib(n):', '    a, b = 0, 1', '    while a < n:', '        print(a)', '        a, b = b, a+b', '', 'fib(10)', '', '[OK] Script finished.'];
+function codeProvider({ lines = defaultCode, interval = 0.8, width = 256, height = 190 }, { palette }) {
+    let scroll = 0;
+    let time = 0;
+    let dirty = true;
+    return canvasContent({
+        width,
+        height,
+        draw(ctx, delta, canvas) {
+            time += delta;
+            if (time >= interval) {
+                time %= interval;
+                scroll = (scroll + 1) % lines.length;
+                dirty = true;
+            }
+            if (!dirty) return false;
+            dirty = false;
+            ctx.fillStyle = palette.codeBackground.getStyle();
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.font = '16px monospace';
+            ctx.fillStyle = palette.codeText.getStyle();
+            const rows = Math.floor((canvas.height - 5) / 19);
+            for (let i = 0; i < rows; i++) {
+                ctx.fillText(lines[(scroll + i) % lines.length], 14, 24 + i * 19);
+            }
+        },
+        refresh: () => { dirty = true; }
+    });
+}
+
+// --- Clock ---
+function clockProvider({ seconds = true, date = true, width = 512, height = 256, hour12 = false }, { palette }) {
+    let shown = '';
+    return canvasContent({
+        width,
+        height,
+        draw(ctx, delta, canvas) {
+            const now = new Date();
+            const time = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: seconds ? '2-digit' : undefined, hour12 });
+            if (time === shown) return false;
+            shown = time;
+            ctx.fillStyle = palette.codeBackground.getStyle();
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.fillStyle = palette.codeText.getStyle();
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.font = `bold ${Math.floor(canvas.height * 0.36)}px monospace`;
+            ctx.fillText(time, canvas.width / 2, canvas.height * (date ? 0.42 : 0.5));
+            if (date) {
+                ctx.font = `${Math.floor(canvas.height * 0.12)}px monospace`;
+                ctx.fillText(now.toDateString().toUpperCase(), canvas.width / 2, canvas.height * 0.78);
+            }
+        },
+        refresh: () => { shown = ''; }
+    });
+}
+
+// --- Sparkline ---
+// Plots the last `samples` values of `sample()`, read every `interval`
+// seconds. Without a source it charts a made-up load figure.
+function sparklineProvider({
+    label = 'LOAD',
+    unit = '%',
+    sample = null,
+    min = 0,
+    max = 100,
+    samples = 60,
+    interval = 0.25,
+    width = 512,
+    height = 256
+}, { palette }) {
+    let simulated = 40;
+    const read = sample || (() => {
+        simulated = THREE.MathUtils.clamp(simulated + (Math.random() - 0.5) * 12, min + 5, max - 5);
+        return simulated;
+    });
+    const values = [];
+    let time = interval;
+    let dirty = true;
+    return canvasContent({
+        width,
+        height,
+        draw(ctx, delta, canvas) {
+            time += delta;
+            if (time >= interval) {
+                time %= interval;
+                values.push(Number(read()) || 0);
+                if (values.length > samples) values.shift();
+                dirty = true;
+            }
+            if (!dirty || values.length === 0) return false;
+            dirty = false;
+
+            const pad = canvas.height * 0.1;
+            const top = canvas.height * 0.3;
+            ctx.fillStyle = palette.codeBackground.getStyle();
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.fillStyle = palette.codeText.getStyle();
+            ctx.textBaseline = 'top';
+            ctx.font = `${Math.floor(canvas.height * 0.13)}px monospace`;
+            ctx.textAlign = 'left';
+            ctx.fillText(label, pad, pad);
+            ctx.textAlign = 'right';
+            ctx.fillText(`${values[values.length - 1].toFixed(0)}${unit}`, canvas.width - pad, pad);
+
+            ctx.strokeStyle = palette.matrixHead.getStyle();
+            ctx.lineWidth = Math.max(2, canvas.height / 100);
+            ctx.beginPath();
+            values.forEach((value, i) => {
+                const x = pad + (i / (samples - 1)) * (canvas.width - pad * 2);
+                const t = THREE.MathUtils.clamp((value - min) / (max - min), 0, 1);
+                const y = canvas.height - pad - t * (canvas.height - pad - top);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        },
+        refresh: () => { dirty = true; }
+    });
+}
+
+// --- Image slideshow ---
+// Cross-fades through `images`, each shown `duration` seconds and letterboxed
+function slideshowProvider({ images = [], duration = 5, fade = 1, width = 512, height = 256 }, { palette }) {
+    const slides = images.map(url => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onerror = () => console.warn(`Slideshow image ${url} failed to load.`);
+        image.src = url;
+        return image;
+    });
+    let time = 0;
+    let shown = null;   // slide on screen and whether it had loaded by then
+
+    function drawImage(ctx, canvas, image, alpha) {
+        if (!image || !image.complete || !image.naturalWidth) return;
+        const scale = Math.min(canvas.width / image.naturalWidth, canvas.height / image.naturalHeight);
+        const w = image.naturalWidth * scale;
+        const h = image.naturalHeight * scale;
+        ctx.globalAlpha = alpha;
+        ctx.drawImage(image, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+        ctx.globalAlpha = 1;
+    }
+
+    return canvasContent({
+        width,
+        height,
+        draw(ctx, delta, canvas) {
+            time += delta;
+            const index = Math.floor(time / duration) % Math.max(slides.length, 1);
+            const into = time % duration;
+            const fading = into > duration - fade && slides.length > 1;
+            const loaded = slides.length > 0 && slides[index].complete;
+            if (!fading && shown && shown.index === index && shown.loaded === loaded) return false;
+            shown = { index, loaded };
+            ctx.fillStyle = palette.codeBackground.getStyle();
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            if (slides.length === 0) return;
+            drawImage(ctx, canvas, slides[index], 1);
+            if (fading) drawImage(ctx, canvas, slides[(index + 1) % slides.length], (into - (duration - fade)) / fade);
+        },
+        refresh: () => { shown = null; },
+        dispose: () => slides.forEach(image => { image.src = ''; })
+    });
+}
+
+// --- Image & video ---
+function imageProvider({ url }) {
+    if (!url) throw new Error('The image screen needs a "url".');
+    const texture = new THREE.TextureLoader().load(url, undefined, undefined, () => console.warn(`Screen image ${url} failed to load.`));
+    return { texture, dispose: () => texture.dispose() };
+}
+
+function videoProvider({ url, loop = true, muted = true }) {
+    if (!url) throw new Error('The video screen needs a "url".');
+    const video = document.createElement('video');
+    video.crossOrigin = 'anonymous';
+    video.loop = loop;
+    video.muted = muted;
+    video.playsInline = true;
+    video.src = url;
+    // Autoplay is only allowed muted; a sound track waits for a click
+    video.play().catch(error => console.warn(`Screen video ${url} did not start.`, error));
+    const texture = new THREE.VideoTexture(video);
+    return {
+        video,
+        texture,
+        dispose: () => {
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+            texture.dispose();
+        }
+    };
+}
+
+// --- HTML ---
+// Renders markup through an SVG foreignObject, every `interval` seconds (0
+// renders once). The markup can't load anything itself: styles go inline
+// and images must be data URLs, or the canvas can't be used as a texture.
+function htmlProvider({ html = '', element = null, css = '', width = 512, height = 256, interval = 1 }) {
+    let time = interval;
+    let drawn = false;
+    let loading = false;
+    let fresh = false;          // decoded and drawn, not uploaded yet
+    const image = new Image();
+    return canvasContent({
+        width,
+        height,
+        draw(ctx, delta, canvas) {
+            time += delta;
+            if (fresh) {
+                fresh = false;
+                return true;
+            }
+            if (loading || (drawn && (interval <= 0 || time < interval))) return false;
+            time = 0;
+            loading = true;
+            const markup = element ? new XMLSerializer().serializeToString(element) : html;
+            const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${canvas.width}" height="${canvas.height}">` +
+                '<foreignObject width="100%" height="100%">' +
+                `<div xmlns="http://www.w3.org/1999/xhtml" style="width:100%;height:100%">${css ? `<style>${css}</style>` : ''}${markup}</div>` +
+                '</foreignObject></svg>';
+            image.onload = () => {
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                ctx.drawImage(image, 0, 0);
+                loading = false;
+                drawn = true;
+                fresh = true;
+                time = 0;
+            };
+            image.onerror = () => {
+                loading = false;
+                drawn = true;
+                console.warn('HTML screen content could not be rendered.');
+            };
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+            // Nothing to upload until the image has decoded; `fresh` marks the next draw
+            return false;
+        }
+    });
+}
+
+// Providers every screen manager starts with, keyed by name
+export const screenProviders = {
+    matrix: matrixProvider,
+    matrixCanvas: matrixCanvasProvider,
+    code: codeProvider,
+    clock: clockProvider,
+    sparkline: sparklineProvider,
+    slideshow: slideshowProvider,
+    image: imageProvider,
+    video: videoProvider,
+    html: htmlProvider
+};
+
+export function createScreenManager({ scene, context = {} }) {
+    const manager = new THREE.EventDispatcher();
+    const providers = new Map(Object.entries(screenProviders));
+    const screens = new Map();  // name -> { name, mesh, material, content, provider, options }
+
+    function registerProvider(name, factory) {
+        providers.set(name, factory);
+    }
+
+    function get(name) {
+        return screens.get(name);
+    }
+
+    // Puts content from a provider on a screen, replacing what it showed
+    function setContent(name, provider, options = {}) {
+        const screen = screens.get(name);
+        if (!screen) throw new Error(`No screen named "${name}".`);
+        const factory = providers.get(provider);
+        if (!factory) throw new Error(`Unknown screen provider "${provider}" (${[...providers.keys()].join(', ')}).`);
+        const content = factory(options, context, screen);
+        if (screen.content && screen.content.dispose) screen.content.dispose();
+        Object.assign(screen, { content, provider, options });
+        screen.mesh.material = content.material || screen.material;
+        screen.material.map = content.texture || null;
+        screen.material.needsUpdate = true;
+        if (content.refresh) content.refresh();
+        manager.dispatchEvent({ type: 'change', screen });
+        return content;
+    }
+
+    // Makes a mesh a screen, or creates a panel at `position` / `rotation` (radians)
+    function addScreen(name, { mesh = null, size = [2, 1.2], position, rotation, parent = scene, content = null, options = {} } = {}) {
+        if (screens.has(name)) throw new Error(`A screen named "${name}" already exists.`);
+        if (!mesh) {
+            mesh = new THREE.Mesh(new THREE.PlaneGeometry(size[0], size[1]));
+            mesh.name = name;
+            if (position) mesh.position.fromArray(position);
+            if (rotation) mesh.rotation.fromArray(rotation);
+            parent.add(mesh);
+        }
+        const material = new THREE.MeshBasicMaterial({ name: `${name}Screen`, color: 0xffffff, toneMapped: false });
+        mesh.material = material;
+        const screen = { name, mesh, material, content: null, provider: null, options: null };
+        screens.set(name, screen);
+        if (content) {
+            try {
+                setContent(name, content, options);
+            } catch (error) {
+                console.warn(`Screen "${name}" is left blank.`, error);
+            }
+        }
+        return screen;
+    }
+
+    function removeScreen(name) {
+        const screen = screens.get(name);
+        if (!screen) return;
+        if (screen.content && screen.content.dispose) screen.content.dispose();
+        screen.material.dispose();
+        screens.delete(name);
+    }
+
+    // Monitors built from a room document carry their "screen" in userData
+    function attach(root) {
+        const added = [];
+        root.traverse(object => {
+            const spec = object.userData.screen;
+            if (!spec || screens.has(object.name)) return;
+            added.push(addScreen(object.name, { mesh: object, content: spec.content, options: spec.options }));
+        });
+        return added;
+    }
+
+    function detach(root) {
+        [...screens.values()].forEach(screen => {
+            let object = screen.mesh;
+            while (object && object !== root) object = object.parent;
+            if (object) removeScreen(screen.name);
+        });
+    }
+
+    // Redraws everything now; call after the palette changed
+    function refresh() {
+        screens.forEach(screen => {
+            if (screen.content && screen.content.refresh) screen.content.refresh();
+        });
+    }
+
+    function update(delta) {
+        screens.forEach(screen => {
+            if (screen.content && screen.content.update) screen.content.update(delta);
+        });
+    }
+
+    function dispose() {
+        [...screens.keys()].forEach(removeScreen);
+    }
+
+    Object.assign(manager, {
+        registerProvider,
+        get,
+        setContent,
+        addScreen,
+        removeScreen,
+        attach,
+        detach,
+        refresh,
+        update,
+        dispose
+    });
+    Object.defineProperties(manager, {
+        list: { get: () => [...screens.values()] },
+        providers: { get: () => [...providers.keys()] }
+    });
+    return manager;
+}
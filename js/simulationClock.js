@@ -0,0 +1,107 @@
+// ===================================
+//         SIMULATION CLOCK
+// ===================================
+// The date the solar system is shown at. It runs `speed` simulated seconds
+// per real second, backwards while `reversed`, and only while playing; feed
+// it real time with advance(delta), or let createSolarSystem() do that from
+// its update(). Dispatches 'change' when it is played, paused, sped up,
+// reversed or set to a date (not as time passes).
+//
+//   clock.setDate('1969-07-20');
+//   clock.setSpeed(clockSpeeds[4].value);   // a week per second
+import * as THREE from 'three';
+
+// The epoch of the orbital elements, J2000: 2000-01-01 12:00 (TT, which is
+// about a minute from UTC; close enough here)
+export const J2000 = Date.UTC(2000, 0, 1, 12);
+const DAY = 86400000;
+
+export const clockSpeeds = [
+    { label: 'real time', value: 1 },
+    { label: '1 min/s', value: 60 },
+    { label: '1 hour/s', value: 3600 },
+    { label: '1 day/s', value: 86400 },
+    { label: '1 week/s', value: 604800 },
+    { label: '1 month/s', value: 2629800 },
+    { label: '1 year/s', value: 31557600 }
+];
+
+export function createSimulationClock({
+    date = Date.now(),
+    speed = 86400,              // simulated seconds per real second
+    reversed = false,
+    playing = true
+} = {}) {
+    const clock = new THREE.EventDispatcher();
+    let time = new Date(date).getTime();
+    if (Number.isNaN(time)) throw new Error(`Invalid date "${date}".`);
+
+    function changed() {
+        clock.dispatchEvent({ type: 'change' });
+    }
+
+    function advance(delta) {
+        if (!playing || delta === 0) return;
+        time += delta * speed * (reversed ? -1 : 1) * 1000;
+    }
+
+    function play() {
+        if (playing) return;
+        playing = true;
+        changed();
+    }
+
+    function pause() {
+        if (!playing) return;
+        playing = false;
+        changed();
+    }
+
+    function toggle() {
+        if (playing) pause();
+        else play();
+    }
+
+    function setSpeed(value) {
+        if (!(value > 0)) throw new Error(`Clock speed must be positive, got ${value}.`);
+        speed = value;
+        changed();
+    }
+
+    // Steps through clockSpeeds from wherever the speed is now
+    function faster() {
+        const next = clockSpeeds.find(step => step.value > speed);
+        if (next) setSpeed(next.value);
+    }
+
+    function slower() {
+        const next = clockSpeeds.slice().reverse().find(step => step.value < speed);
+        if (next) setSpeed(next.value);
+    }
+
+    function reverse() {
+        reversed = !reversed;
+        changed();
+    }
+
+    // A Date, a timestamp or anything Date can parse ('2030-01-01')
+    function setDate(value) {
+        const next = new Date(value).getTime();
+        if (Number.isNaN(next)) throw new Error(`Invalid date "${value}".`);
+        time = next;
+        changed();
+    }
+
+    Object.assign(clock, { advance, play, pause, toggle, setSpeed, faster, slower, reverse, setDate });
+    Object.defineProperties(clock, {
+        date: { get: () => new Date(time) },
+        time: { get: () => time },
+        // Days since J2000, what the orbital elements are measured from
+        days: { get: () => (time - J2000) / DAY },
+        speed: { get: () => speed },
+        speedLabel: { get: () => (clockSpeeds.find(step => step.value === speed) || { label: `${speed}×` }).label },
+        reversed: { get: () => reversed },
+        playing: { get: () => playing }
+    });
+    return clock;
+}
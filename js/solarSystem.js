@@ -0,0 +1,500 @@
+// ===================================
+//            SOLAR SYSTEM
+// ===================================
+// The sun, eight planets, the moon, orbit paths and a starfield, built into
+// their own THREE.Scene. Used by the standalone viewer (three.module.js) and
+// by the view through the room's window (js/windowView.js).
+//
+//   const solar = createSolarSystem({ assets: createAssetManager({ renderer }) });
+//   scheduler.add(solar.update);     // delta in seconds
+//   renderer.render(solar.scene, camera);
+//
+// Textures come through an asset manager (js/assetManager.js), from the local
+// bundle first; a texture that can't be loaded leaves the body in its color.
+//
+// The planets are where they are on the simulation clock's date (`solar.clock`,
+// see js/simulationClock.js): each follows its Keplerian orbit from the
+// elements in planetsData, an inclined ellipse drawn to the scene's scale so
+// its semi-major axis is the planet's `distance`. Sizes stay exaggerated.
+import * as THREE from 'three';
+import { createAssetManager } from './assetManager.js';
+import { createSimulationClock } from './simulationClock.js';
+
+const DEG = Math.PI / 180;
+// Mean motion of an orbit of 1 AU in degrees per day; a^1.5 slower for others
+const GAUSS_DEGREES = 0.9856076686;
+
+// ===================================
+//             CELESTIAL BODIES DATA
+// ===================================
+// Scaled for visual representation. Texture entries are file names without
+// the resolution prefix (see `tier`); `color` is used when one is missing.
+export const planetsData = [
+    {
+        name: "Mercury",
+        size: 3, // Scaled size
+        distance: 50, // Scaled distance from Sun
+        orbitalPeriod: 0.24, // Earth years
+        rotationPeriod: 58.6, // Earth days
+        axialTilt: 0.03, // degrees
+        // Orbital elements at J2000, see orbitalPosition()
+        elements: {
+            semiMajorAxis: 0.38709927, // AU
+            eccentricity: 0.20563593,
+            inclination: 7.00497902, // degrees, to the ecliptic
+            ascendingNode: 48.33076593, // longitude of the ascending node, degrees
+            perihelion: 77.45779628, // longitude of perihelion, degrees
+            meanAnomaly: 174.79252722 // degrees, at J2000
+        },
+        texture: 'mercury.jpg',
+        color: 0xAAAAAA // Fallback color
+    },
+    {
+        name: "Venus",
+        size: 4.8,
+        distance: 80,
+        orbitalPeriod: 0.62,
+        rotationPeriod: -243, // Retrograde rotation
+        axialTilt: 177.3,
+        elements: {
+            semiMajorAxis: 0.72333566,
+            eccentricity: 0.00677672,
+            inclination: 3.39467605,
+            ascendingNode: 76.67984255,
+            perihelion: 131.60246718,
+            meanAnomaly: 50.37663232
+        },
+        texture: 'venus_surface.jpg',
+        cloudsTexture: 'venus_atmosphere.jpg',
+        color: 0xFFAAAA
+    },
+    {
+        name: "Earth",
+        size: 5,
+        distance: 120,
+        orbitalPeriod: 1,
+        rotationPeriod: 1,
+        axialTilt: 23.5,
+        elements: {
+            semiMajorAxis: 1.00000261,
+            eccentricity: 0.01671123,
+            inclination: -0.00001531,
+            ascendingNode: 0.0,
+            perihelion: 102.93768193,
+            meanAnomaly: -2.47311027
+        },
+        texture: 'earth_daymap.jpg',
+        cloudsTexture: 'earth_clouds.jpg',
+        normalMap: 'earth_normal_map.jpg',
+        specularMap: 'earth_specular_map.jpg',
+        nightTexture: 'earth_nightmap.jpg',
+        color: 0x0000FF
+    },
+    {
+        name: "Mars",
+        size: 3.5,
+        distance: 180,
+        orbitalPeriod: 1.88,
+        rotationPeriod: 1.03,
+        axialTilt: 25.2,
+        elements: {
+            semiMajorAxis: 1.52371034,
+            eccentricity: 0.0933941,
+            inclination: 1.84969142,
+            ascendingNode: 49.55953891,
+            perihelion: -23.94362959,
+            meanAnomaly: 19.39019754
+        },
+        texture: 'mars.jpg',
+        color: 0xFF0000
+    },
+    {
+        name: "Jupiter",
+        size: 25, // Much larger
+        distance: 300,
+        orbitalPeriod: 11.86,
+        rotationPeriod: 0.41,
+        axialTilt: 3.1,
+        elements: {
+            semiMajorAxis: 5.202887,
+            eccentricity: 0.04838624,
+            inclination: 1.30439695,
+            ascendingNode: 100.47390909,
+            perihelion: 14.72847983,
+            meanAnomaly: 19.66796068
+        },
+        texture: 'jupiter.jpg',
+        color: 0xFFA500
+    },
+    {
+        name: "Saturn",
+        size: 20,
+        distance: 450,
+        orbitalPeriod: 29.46,
+        rotationPeriod: 0.44,
+        axialTilt: 26.7,
+        elements: {
+            semiMajorAxis: 9.53667594,
+            eccentricity: 0.05386179,
+            inclination: 2.48599187,
+            ascendingNode: 113.66242448,
+            perihelion: 92.59887831,
+            meanAnomaly: -42.64463408
+        },
+        texture: 'saturn.jpg',
+        ringTexture: 'saturn_ring_alpha.png',
+        ringInnerRadius: 25,
+        ringOuterRadius: 40,
+        color: 0xFFD700
+    },
+    {
+        name: "Uranus",
+        size: 18,
+        distance: 600,
+        orbitalPeriod: 84.01,
+        rotationPeriod: -0.72, // Retrograde rotation
+        axialTilt: 97.8,
+        elements: {
+            semiMajorAxis: 19.18916464,
+            eccentricity: 0.04725744,
+            inclination: 0.77263783,
+            ascendingNode: 74.01692503,
+            perihelion: 170.9542763,
+            meanAnomaly: 142.28382821
+        },
+        texture: 'uranus.jpg',
+        color: 0xADD8E6
+    },
+    {
+        name: "Neptune",
+        size: 17,
+        distance: 750,
+        orbitalPeriod: 164.79,
+        rotationPeriod: 0.67,
+        axialTilt: 28.3,
+        elements: {
+            semiMajorAxis: 30.06992276,
+            eccentricity: 0.00859048,
+            inclination: 1.77004347,
+            ascendingNode: 131.78422574,
+            perihelion: 44.96476227,
+            meanAnomaly: -100.08479196
+        },
+        texture: 'neptune.jpg',
+        color: 0x00008B
+    }
+];
+
+// ===================================
+//             ORBITS
+// ===================================
+// Eccentric anomaly for a mean anomaly (radians), by Newton's method
+function solveKepler(meanAnomaly, eccentricity) {
+    let anomaly = meanAnomaly;
+    for (let i = 0; i < 10; i++) {
+        const step = (anomaly - eccentricity * Math.sin(anomaly) - meanAnomaly) / (1 - eccentricity * Math.cos(anomaly));
+        anomaly -= step;
+        if (Math.abs(step) < 1e-10) break;
+    }
+    return anomaly;
+}
+
+// The point at an eccentric anomaly, in AU. The ecliptic is the XZ plane with
+// +x toward the vernal equinox and +y to ecliptic north, so orbits run
+// counterclockwise seen from above.
+function pointOnOrbit(elements, eccentricAnomaly, target) {
+    const { semiMajorAxis: a, eccentricity: e } = elements;
+    const x = a * (Math.cos(eccentricAnomaly) - e);
+    const y = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+    const node = elements.ascendingNode * DEG;
+    const argument = (elements.perihelion - elements.ascendingNode) * DEG;
+    const inclination = elements.inclination * DEG;
+    const [cosW, sinW] = [Math.cos(argument), Math.sin(argument)];
+    const [cosN, sinN] = [Math.cos(node), Math.sin(node)];
+    const [cosI, sinI] = [Math.cos(inclination), Math.sin(inclination)];
+    return target.set(
+        (cosW * cosN - sinW * sinN * cosI) * x + (-sinW * cosN - cosW * sinN * cosI) * y,
+        sinW * sinI * x + cosW * sinI * y,
+        -((cosW * sinN + sinW * cosN * cosI) * x + (-sinW * sinN + cosW * cosN * cosI) * y)
+    );
+}
+
+// Heliocentric position `days` after J2000, in AU
+export function orbitalPosition(elements, days, target = new THREE.Vector3()) {
+    const meanMotion = GAUSS_DEGREES / Math.pow(elements.semiMajorAxis, 1.5);
+    const meanAnomaly = THREE.MathUtils.euclideanModulo(elements.meanAnomaly + meanMotion * days + 180, 360) - 180;
+    return pointOnOrbit(elements, solveKepler(meanAnomaly * DEG, elements.eccentricity), target);
+}
+
+// Function to create an orbital path: a circle of `radius`, or with orbital
+// elements the ellipse they describe, scaled so its semi-major axis is `radius`
+export const createOrbitPath = (radius, color = 0x444444, elements = null) => {
+    const points = [];
+    for (let i = 0; i <= 128; i++) { // More segments for smoother path
+        const angle = (i / 128) * Math.PI * 2;
+        if (elements) points.push(pointOnOrbit(elements, angle, new THREE.Vector3()).multiplyScalar(radius / elements.semiMajorAxis));
+        else points.push(new THREE.Vector3(radius * Math.cos(angle), 0, radius * Math.sin(angle)));
+    }
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({ color: color, transparent: true, opacity: 0.2 }); // Fainter paths
+    return new THREE.LineLoop(geometry, material);
+};
+
+// A soft round glow for the sun's corona
+function createGlowTexture(size = 128) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.3, 'rgba(255, 255, 255, 0.6)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+    return new THREE.CanvasTexture(canvas);
+}
+
+// assets: an asset manager to load through (one is made if left out)
+// clock: the simulation clock to follow (one is made, set to now, if left out)
+// tier: texture resolution ('2k', '4k', '8k'), null for the asset manager's
+// textures: false builds plain colored spheres
+export function createSolarSystem({
+    assets = null,
+    clock = createSimulationClock(),
+    tier = null,
+    textures = true,
+    shadows = false,
+    starsCount = 50000,
+    segments = 64
+} = {}) {
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x000000); // Deep space black
+
+    // ===================================
+    //             LIGHTING
+    // ===================================
+    // Ambient light to ensure all objects are slightly visible
+    scene.add(new THREE.AmbientLight(0x333333, 0.2));
+
+    // Point light for the Sun
+    const sunLight = new THREE.PointLight(0xffffff, 2, 0); // White light, intensity 2, no decay
+    sunLight.castShadow = shadows;
+    sunLight.shadow.mapSize.width = 4096; // Very high resolution for shadows
+    sunLight.shadow.mapSize.height = 4096;
+    sunLight.shadow.camera.near = 0.1;
+    sunLight.shadow.camera.far = 1500;
+    scene.add(sunLight);
+
+    // ===================================
+    //             TEXTURES
+    // ===================================
+    if (textures && !assets) assets = createAssetManager({ tier });
+
+    // Maps fall back to the body's color, normal maps to flat, and additive
+    // layers (clouds, night lights) to black, which adds nothing
+    const FLAT_NORMAL = 0x8080ff;
+    const loadTexture = (file, fallbackColor) => {
+        if (!textures || !file) return null;
+        return assets.loadTexture(file, { fallbackColor, tier: tier || assets.tier });
+    };
+
+    const planets = []; // Array to store all planet objects for animation
+
+    // ===================================
+    //             CELESTIAL BODIES CREATION
+    // ===================================
+
+    // --- Sun ---
+    const sunGeometry = new THREE.SphereGeometry(20, segments, segments); // Larger sun
+    const sunMaterial = new THREE.MeshBasicMaterial({ map: loadTexture('sun.jpg', 0xffcc55), color: textures ? 0xffffff : 0xffcc55 });
+    const sun = new THREE.Mesh(sunGeometry, sunMaterial);
+    sun.name = 'Sun';
+    scene.add(sun);
+
+    // Add a light source directly to the sun to make it appear glowing
+    const sunGlowLight = new THREE.PointLight(0xffaa00, 3, 0); // Orange-yellow glow, higher intensity
+    sun.add(sunGlowLight);
+
+    // Sun Corona/Flare Effect (using a SpriteMaterial for a soft glow)
+    const coronaMaterial = new THREE.SpriteMaterial({
+        map: createGlowTexture(),
+        color: 0xFFD700, // Gold color
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        opacity: 0.5,
+    });
+    const corona = new THREE.Sprite(coronaMaterial);
+    corona.scale.set(50, 50, 1); // Scale larger than the sun
+    sun.add(corona);
+
+    // --- Planets ---
+    planetsData.forEach(data => {
+        const planetGeometry = new THREE.SphereGeometry(data.size, segments, segments);
+        const map = loadTexture(data.texture, data.color);
+        const planetMaterial = new THREE.MeshStandardMaterial({
+            map,
+            color: map ? 0xffffff : data.color,
+            normalMap: loadTexture(data.normalMap, FLAT_NORMAL), // Use normal map if available
+            roughness: 0.7,
+            metalness: 0.1,
+            normalScale: new THREE.Vector2(1, 1) // Default normal map intensity
+        });
+
+        const planet = new THREE.Mesh(planetGeometry, planetMaterial);
+        planet.name = data.name;
+        planet.receiveShadow = shadows;
+        planet.castShadow = shadows;
+        scene.add(planet);
+        const body = { mesh: planet, data, clouds: null, nightLights: null, moon: null };
+
+        // Add clouds if specified
+        const cloudsTexture = loadTexture(data.cloudsTexture, 0x000000);
+        if (cloudsTexture) {
+            const cloudsGeometry = new THREE.SphereGeometry(data.size * 1.02, segments, segments); // Slightly larger than planet
+            const cloudsMaterial = new THREE.MeshStandardMaterial({
+                map: cloudsTexture,
+                transparent: true,
+                opacity: 0.8,
+                blending: THREE.AdditiveBlending,
+                roughness: 1,
+                metalness: 0
+            });
+            body.clouds = new THREE.Mesh(cloudsGeometry, cloudsMaterial);
+            planet.add(body.clouds);
+        }
+
+        // Add night lights for Earth
+        const nightTexture = loadTexture(data.nightTexture, 0x000000);
+        if (nightTexture) {
+            const nightLightsGeometry = new THREE.SphereGeometry(data.size * 1.01, segments, segments); // Slightly larger than planet surface
+            const nightLightsMaterial = new THREE.MeshBasicMaterial({
+                map: nightTexture,
+                blending: THREE.AdditiveBlending,
+                transparent: true,
+                opacity: 0.9
+            });
+            body.nightLights = new THREE.Mesh(nightLightsGeometry, nightLightsMaterial);
+            planet.add(body.nightLights);
+        }
+
+        // Add rings for Saturn
+        if (data.ringTexture) {
+            const ringGeometry = new THREE.RingGeometry(data.ringInnerRadius, data.ringOuterRadius, 64);
+            const ringMap = loadTexture(data.ringTexture, data.color);
+            const ringMaterial = new THREE.MeshBasicMaterial({
+                map: ringMap,
+                color: ringMap ? 0xffffff : data.color,
+                side: THREE.DoubleSide,
+                transparent: true,
+                opacity: 0.8
+            });
+            const rings = new THREE.Mesh(ringGeometry, ringMaterial);
+            rings.rotation.x = Math.PI / 2; // Tilt rings to align with axial tilt
+            planet.add(rings);
+        }
+
+        // Add Moon for Earth
+        if (data.name === "Earth") {
+            const moonOrbit = new THREE.Group();
+            planet.add(moonOrbit);
+
+            const moonGeometry = new THREE.SphereGeometry(1.5, 32, 32); // Larger Moon
+            const moonMap = loadTexture('moon.jpg', 0xcccccc);
+            const moonMaterial = new THREE.MeshStandardMaterial({
+                map: moonMap,
+                color: moonMap ? 0xffffff : 0xcccccc,
+                normalMap: loadTexture('moon_normal_map.jpg', FLAT_NORMAL), // Add normal map
+                roughness: 0.9,
+                metalness: 0,
+                normalScale: new THREE.Vector2(0.5, 0.5) // Adjust normal map intensity
+            });
+            const moon = new THREE.Mesh(moonGeometry, moonMaterial);
+            moon.name = 'Moon';
+            moon.position.x = 15; // Further distance from Earth
+            moon.receiveShadow = shadows;
+            moon.castShadow = shadows;
+            moonOrbit.add(moon);
+            body.moon = { mesh: moon, orbitGroup: moonOrbit };
+
+            const moonPath = createOrbitPath(15, 0xcccccc); // Moon's orbit radius relative to Earth
+            planet.add(moonPath);
+        }
+
+        // --- Orbital Path ---
+        scene.add(createOrbitPath(data.distance, data.color, data.elements));
+
+        // Axial tilt doesn't change, so it is set once
+        const tilt = data.axialTilt * Math.PI / 180;
+        planet.rotation.x = tilt;
+        planets.push(body);
+    });
+
+    // ===================================
+    //             STARFIELD (Skybox)
+    // ===================================
+    // Using procedural stars for a more dynamic look
+    const starsVertices = [];
+    for (let i = 0; i < starsCount; i++) {
+        const x = (Math.random() - 0.5) * 4000;
+        const y = (Math.random() - 0.5) * 4000;
+        const z = (Math.random() - 0.5) * 4000;
+        starsVertices.push(x, y, z);
+    }
+    const starsGeo = new THREE.BufferGeometry();
+    starsGeo.setAttribute('position', new THREE.Float32BufferAttribute(starsVertices, 3));
+    const starsMat = new THREE.PointsMaterial({ color: 0xffffff, size: 0.8, transparent: true, opacity: 0.7 });
+    const stars = new THREE.Points(starsGeo, starsMat);
+    scene.add(stars);
+
+    // ===================================
+    //             ANIMATION
+    // ===================================
+    // Turns for a period in days; the fraction is taken first so far-off dates keep their precision
+    const turn = (days, period) => THREE.MathUtils.euclideanModulo(days / period, 1) * Math.PI * 2;
+
+    // Everything is placed from the clock's date, so a jump lands exactly
+    function place(days) {
+        // Sun rotation (self-rotation, about 25.4 days at its equator)
+        sun.rotation.y = turn(days, 25.38);
+
+        planets.forEach(({ mesh, data, clouds, moon }) => {
+            // Planet's position on its orbit, scaled to the scene
+            if (data.elements) {
+                orbitalPosition(data.elements, days, mesh.position).multiplyScalar(data.distance / data.elements.semiMajorAxis);
+            } else {
+                const angle = turn(days, data.orbitalPeriod * 365.25);
+                mesh.position.set(Math.cos(angle), 0, -Math.sin(angle)).multiplyScalar(data.distance);
+            }
+            // Planet's self-rotation, negative periods turn backwards
+            mesh.rotation.y = turn(days, data.rotationPeriod);
+            // Clouds rotate slightly slower than the surface, so they drift over it
+            if (clouds) clouds.rotation.y = -0.1 * mesh.rotation.y;
+            if (moon) {
+                // Moon's orbit around the Earth from its mean longitude (27.3 days), undoing
+                // the planet's spin it is attached to; it shows Earth one face (tidally locked)
+                moon.orbitGroup.rotation.y = (218.316 + 13.176396 * days) * DEG - mesh.rotation.y;
+            }
+        });
+    }
+
+    // delta: real seconds, run through the clock
+    function update(delta) {
+        clock.advance(delta);
+        place(clock.days);
+    }
+
+    function dispose() {
+        scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                Object.values(object.material).forEach(value => { if (value && value.isTexture) value.dispose(); });
+                object.material.dispose();
+            }
+        });
+    }
+
+    place(clock.days);
+
+    return { scene, sun, planets, stars, clock, update, dispose };
+}
@@ -0,0 +1,245 @@
+// ===================================
+//        SIDE MONITOR TERMINAL
+// ===================================
+// A small shell drawn onto a canvas texture. While focused it takes keyboard
+// input: Enter runs the line, Up/Down walk the history, PageUp/PageDown
+// scroll. Commands are plain objects registered by name:
+//
+//   terminal.registerCommand('whoami', {
+//       description: 'print the current user',
+//       run: (args, term) => term.print('neo')
+//   });
+//
+// `run` gets the whitespace-split arguments and the terminal itself; it may
+// return a promise, output is printed once it resolves.
+
+// Color schemes for the `theme` command
+export const terminalThemes = {
+    green: { background: '#021410', text: '#4cf19a', prompt: '#c2fff6' },
+    amber: { background: '#140c02', text: '#ffb000', prompt: '#ffe2a8' },
+    cyan: { background: '#01141a', text: '#03e9f4', prompt: '#c2f9ff' },
+    magenta: { background: '#14021a', text: '#ff3df5', prompt: '#ffc2fb' }
+};
+
+const FONT_SIZE = 12;
+const LINE_HEIGHT = 14;
+const PADDING = 8;
+const MAX_SCROLLBACK = 500;
+const BLINK_INTERVAL = 0.53; // seconds
+
+export function createTerminal({ canvas, texture, prompt = '$ ', greeting = "Type 'help' to list commands.", keyTarget = document }) {
+    const ctx = canvas.getContext('2d');
+    const commands = new Map();
+    const scrollback = [];
+    const history = [];
+    let historyIndex = 0;
+    let input = '';
+    let scrollOffset = 0; // lines scrolled up from the bottom
+    let focused = false;
+    let cursorVisible = true;
+    let blinkTime = 0;
+    let theme = terminalThemes.green;
+
+    const columns = () => Math.max(1, Math.floor((canvas.width - PADDING * 2) / (FONT_SIZE * 0.6)));
+    const rows = () => Math.max(1, Math.floor((canvas.height - PADDING) / LINE_HEIGHT));
+
+    // --- Output ---
+    function print(text = '') {
+        String(text).split('\n').forEach(line => {
+            // Hard-wrap to the screen width so scrollback counts real rows
+            const width = columns();
+            do {
+                scrollback.push(line.slice(0, width));
+                line = line.slice(width);
+            } while (line.length > 0);
+        });
+        if (scrollback.length > MAX_SCROLLBACK) scrollback.splice(0, scrollback.length - MAX_SCROLLBACK);
+        scrollOffset = 0;
+        draw();
+    }
+
+    function clear() {
+        scrollback.length = 0;
+        scrollOffset = 0;
+        draw();
+    }
+
+    // Only shown on a screen while focused, so there is no point painting otherwise
+    function draw() {
+        if (!focused) return;
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.font = `${FONT_SIZE}px monospace`;
+        ctx.textBaseline = 'top';
+
+        // Long input scrolls sideways, keeping room for the cursor at the end
+        const inputLine = (prompt + input).slice(-(columns() - 1));
+        const visibleRows = rows();
+        const lines = scrollback.concat([inputLine]);
+        const end = lines.length - scrollOffset;
+        const start = Math.max(0, end - visibleRows);
+        for (let i = start; i < end; i++) {
+            const isInput = i === lines.length - 1;
+            ctx.fillStyle = isInput ? theme.prompt : theme.text;
+            ctx.fillText(lines[i], PADDING, PADDING / 2 + (i - start) * LINE_HEIGHT);
+        }
+
+        // Block cursor after the input, only while the input line is on screen
+        if (cursorVisible && scrollOffset === 0) {
+            const charWidth = ctx.measureText('M').width;
+            const x = PADDING + inputLine.length * charWidth;
+            const y = PADDING / 2 + (end - 1 - start) * LINE_HEIGHT;
+            ctx.fillStyle = theme.text;
+            ctx.fillRect(x, y, charWidth, FONT_SIZE);
+        }
+        texture.needsUpdate = true;
+    }
+
+    // --- Commands ---
+    function registerCommand(name, command) {
+        if (typeof command === 'function') command = { run: command };
+        if (!command || typeof command.run !== 'function') {
+            throw new Error(`Terminal command "${name}" needs a run(args, terminal) function.`);
+        }
+        commands.set(name, { description: '', ...command });
+    }
+
+    function unregisterCommand(name) {
+        commands.delete(name);
+    }
+
+    async function execute(line) {
+        print(prompt + line);
+        const [name, ...args] = line.trim().split(/\s+/);
+        if (!name) return;
+        const command = commands.get(name);
+        if (!command) {
+            print(`${name}: command not found`);
+            return;
+        }
+        try {
+            const output = await command.run(args, api);
+            if (output !== undefined) print(output);
+        } catch (error) {
+            print(`${name}: ${error.message}`);
+        }
+    }
+
+    // Takes a name from terminalThemes or a { background, text, prompt } object
+    function setTheme(nameOrColors) {
+        const colors = typeof nameOrColors === 'string' ? terminalThemes[nameOrColors] : nameOrColors;
+        if (!colors) return false;
+        theme = { ...theme, ...colors };
+        draw();
+        return true;
+    }
+
+    // --- Built-in commands ---
+    registerCommand('help', {
+        description: 'list available commands',
+        run: (args, term) => {
+            [...commands.keys()].sort().forEach(name => {
+                term.print(`${name.padEnd(8)}${commands.get(name).description}`);
+            });
+        }
+    });
+    registerCommand('clear', { description: 'clear the screen', run: (args, term) => term.clear() });
+    registerCommand('echo', { description: 'print its arguments', run: args => args.join(' ') });
+    registerCommand('date', { description: 'print the current date and time', run: () => new Date().toString() });
+    registerCommand('theme', {
+        description: 'theme <name>: change colors',
+        run: (args, term) => {
+            const names = Object.keys(terminalThemes).join(', ');
+            if (!args[0]) return `usage: theme <name> (${names})`;
+            if (!term.setTheme(args[0])) return `theme: unknown theme "${args[0]}" (${names})`;
+        }
+    });
+
+    // --- Focus & Input ---
+    function focus() {
+        if (focused) return;
+        focused = true;
+        cursorVisible = true;
+        blinkTime = 0;
+        draw();
+    }
+
+    function blur() {
+        if (!focused) return;
+        focused = false;
+    }
+
+    // Blinks the cursor; called every frame by the scheduler
+    function update(delta) {
+        if (!focused) return;
+        blinkTime += delta;
+        if (blinkTime < BLINK_INTERVAL) return;
+        blinkTime %= BLINK_INTERVAL;
+        cursorVisible = !cursorVisible;
+        draw();
+    }
+
+    function onKeyDown(event) {
+        if (!focused || event.ctrlKey || event.metaKey || event.altKey) return;
+        // Escape is left alone so the picker can step back out of the terminal
+        if (event.key === 'Escape') return;
+
+        if (event.key === 'Enter') {
+            const line = input;
+            input = '';
+            if (line.trim()) history.push(line);
+            historyIndex = history.length;
+            execute(line);
+        } else if (event.key === 'Backspace') {
+            input = input.slice(0, -1);
+        } else if (event.key === 'ArrowUp') {
+            historyIndex = Math.max(0, historyIndex - 1);
+            input = history[historyIndex] ?? input;
+        } else if (event.key === 'ArrowDown') {
+            historyIndex = Math.min(history.length, historyIndex + 1);
+            input = history[historyIndex] ?? '';
+        } else if (event.key === 'PageUp') {
+            scrollOffset = Math.min(Math.max(0, scrollback.length + 1 - rows()), scrollOffset + rows() - 1);
+        } else if (event.key === 'PageDown') {
+            scrollOffset = Math.max(0, scrollOffset - (rows() - 1));
+        } else if (event.key.length === 1) {
+            input += event.key;
+            scrollOffset = 0;
+        } else {
+            return;
+        }
+        // Typed keys belong to the terminal, not to walk mode or the page
+        event.preventDefault();
+        event.stopPropagation();
+        cursorVisible = true;
+        blinkTime = 0;
+        draw();
+    }
+
+    // Capture phase, so this runs before the other keyboard shortcuts
+    keyTarget.addEventListener('keydown', onKeyDown, true);
+
+    function dispose() {
+        blur();
+        keyTarget.removeEventListener('keydown', onKeyDown, true);
+    }
+
+    if (greeting) print(greeting);
+
+    const api = {
+        print,
+        clear,
+        execute,
+        registerCommand,
+        unregisterCommand,
+        setTheme,
+        focus,
+        blur,
+        draw,
+        update,
+        dispose,
+        get isFocused() { return focused; },
+        get commands() { return [...commands.keys()]; }
+    };
+    return api;
+}
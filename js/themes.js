@@ -0,0 +1,179 @@
+// ===================================
+//            COLOR THEMES
+// ===================================
+// A theme sets every color that gives the room its mood in one go: the
+// emissive neon strips, the monitor light, the screen palettes, the scene
+// background and the bloom settings. Themes are plain objects; any field
+// left out is taken from the cyan theme.
+import * as THREE from 'three';
+
+export const themes = {
+    cyan: {
+        neon: '#03e9f4',
+        monitorLight: '#03e9f4',
+        background: '#010a10',
+        matrix: { head: '#c2fff6', trail: '#39ff14', fade: '#030f08' },
+        code: { background: '#021410', text: '#4cf19a' },
+        terminal: { background: '#021410', text: '#4cf19a', prompt: '#c2fff6' },
+        bloom: { strength: 1.3, threshold: 0.05, radius: 0.6 }
+    },
+    magenta: {
+        neon: '#ff2bd6',
+        monitorLight: '#ff3df5',
+        background: '#0c0210',
+        matrix: { head: '#ffd6fb', trail: '#d14bff', fade: '#0d0310' },
+        code: { background: '#14021a', text: '#ff7ae8' },
+        terminal: { background: '#14021a', text: '#ff7ae8', prompt: '#ffd6fb' },
+        bloom: { strength: 1.4, threshold: 0.05, radius: 0.65 }
+    },
+    amber: {
+        neon: '#ffb000',
+        monitorLight: '#ff9a1f',
+        background: '#0f0902',
+        matrix: { head: '#fff0c2', trail: '#ffb000', fade: '#100a02' },
+        code: { background: '#140c02', text: '#ffb000' },
+        terminal: { background: '#140c02', text: '#ffb000', prompt: '#ffe2a8' },
+        bloom: { strength: 1.1, threshold: 0.08, radius: 0.55 }
+    },
+    'red-alert': {
+        neon: '#ff1a1a',
+        monitorLight: '#ff2020',
+        background: '#100202',
+        matrix: { head: '#ffd0d0', trail: '#ff3030', fade: '#140303' },
+        code: { background: '#140404', text: '#ff5a5a' },
+        terminal: { background: '#140404', text: '#ff5a5a', prompt: '#ffd0d0' },
+        bloom: { strength: 1.7, threshold: 0.03, radius: 0.75 }
+    }
+};
+
+// Colors read by the canvas screens. They are THREE.Colors so a crossfade
+// can blend them; draw code turns them into CSS with getStyle().
+export function createScreenPalette(theme = themes.cyan) {
+    return {
+        matrixHead: new THREE.Color(theme.matrix.head),
+        matrixTrail: new THREE.Color(theme.matrix.trail),
+        matrixFade: new THREE.Color(theme.matrix.fade),
+        codeBackground: new THREE.Color(theme.code.background),
+        codeText: new THREE.Color(theme.code.text)
+    };
+}
+
+// Flattens a theme definition into the values that get blended
+function resolveTheme(definition) {
+    const base = themes.cyan;
+    const theme = {
+        ...base,
+        ...definition,
+        matrix: { ...base.matrix, ...definition.matrix },
+        code: { ...base.code, ...definition.code },
+        terminal: { ...base.terminal, ...definition.terminal },
+        bloom: { ...base.bloom, ...definition.bloom }
+    };
+    return {
+        colors: {
+            neon: new THREE.Color(theme.neon),
+            monitorLight: new THREE.Color(theme.monitorLight),
+            background: new THREE.Color(theme.background),
+            ...createScreenPalette(theme)
+        },
+        bloom: { ...theme.bloom },
+        terminal: theme.terminal
+    };
+}
+
+// Switches themes at runtime, crossfading over `duration` seconds. Dispatches
+// 'change' on every blended frame and 'themechange' { name } when a switch starts.
+export function createThemeManager({
+    scheduler,
+    scene,
+    neonMaterials = [],
+    monitorLight,
+    bloomPass,
+    outlinePass = null,
+    screenPalette,
+    terminal = null,
+    duration: defaultDuration = 1.2
+}) {
+    const manager = new THREE.EventDispatcher();
+    const definitions = { ...themes };
+    let currentName = 'cyan';
+
+    // Live values, read back from the scene so the first fade starts from what is on screen
+    const live = {
+        colors: {
+            neon: neonMaterials.length ? neonMaterials[0].color.clone() : new THREE.Color(themes.cyan.neon),
+            monitorLight: monitorLight.color.clone(),
+            background: scene.background.clone(),
+            ...Object.fromEntries(Object.entries(screenPalette).map(([key, color]) => [key, color.clone()]))
+        },
+        bloom: { strength: bloomPass.strength, threshold: bloomPass.threshold, radius: bloomPass.radius }
+    };
+    let from = null;
+    let to = null;
+    let fadeTime = 0;
+    let fadeDuration = 0;
+
+    function write() {
+        const { colors, bloom } = live;
+        neonMaterials.forEach(material => material.color.copy(colors.neon));
+        if (outlinePass) outlinePass.visibleEdgeColor.copy(colors.neon);
+        monitorLight.color.copy(colors.monitorLight);
+        scene.background.copy(colors.background);
+        Object.keys(screenPalette).forEach(key => screenPalette[key].copy(colors[key]));
+        bloomPass.strength = bloom.strength;
+        bloomPass.threshold = bloom.threshold;
+        bloomPass.radius = bloom.radius;
+        manager.dispatchEvent({ type: 'change' });
+    }
+
+    function snapshot() {
+        return {
+            colors: Object.fromEntries(Object.entries(live.colors).map(([key, color]) => [key, color.clone()])),
+            bloom: { ...live.bloom }
+        };
+    }
+
+    function define(name, definition) {
+        definitions[name] = definition;
+    }
+
+    function apply(name, { duration = defaultDuration } = {}) {
+        const definition = definitions[name];
+        if (!definition) throw new Error(`Unknown theme "${name}". Known themes: ${Object.keys(definitions).join(', ')}`);
+        currentName = name;
+        from = snapshot();
+        to = resolveTheme(definition);
+        fadeTime = 0;
+        fadeDuration = duration;
+        if (terminal) terminal.setTheme(to.terminal);
+        manager.dispatchEvent({ type: 'themechange', name });
+        if (duration <= 0) update(0);
+    }
+
+    // Blends one step of the crossfade; registered with the scheduler in real time
+    function update(delta) {
+        if (!to) return;
+        fadeTime += delta;
+        const t = fadeDuration > 0 ? THREE.MathUtils.smoothstep(fadeTime / fadeDuration, 0, 1) : 1;
+        Object.keys(live.colors).forEach(key => live.colors[key].lerpColors(from.colors[key], to.colors[key], t));
+        Object.keys(live.bloom).forEach(key => {
+            live.bloom[key] = THREE.MathUtils.lerp(from.bloom[key], to.bloom[key], t);
+        });
+        write();
+        if (t >= 1) to = from = null;
+    }
+
+    const removeTask = scheduler.add(update, { realtime: true });
+
+    Object.assign(manager, {
+        define,
+        apply,
+        update,
+        dispose: removeTask
+    });
+    Object.defineProperties(manager, {
+        current: { get: () => currentName },
+        names: { get: () => Object.keys(definitions) }
+    });
+    return manager;
+}
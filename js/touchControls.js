@@ -0,0 +1,115 @@
+// ===================================
+//          TOUCH CONTROLS
+// ===================================
+// OrbitControls settings per input device. The mouse profile is the desktop
+// tuning; the touch profile turns the speeds down for fingers, lets a flick
+// glide a little longer and limits pinching to a range that stays inside the
+// room. While it is active, constrain() keeps the camera within `roomSize`
+// (or wherever `canStandAt(x, z, radius)` allows, so open doors still lead
+// through, and between the floor and ceiling `verticalRange()` gives for the
+// room the camera is in, see roomNetwork.js).
+//
+// With `profile: null` the profile follows the device: touch on coarse
+// pointers (phones, tablets), then whichever kind of pointer last touched the
+// canvas, so a touchscreen laptop switches as it is used.
+import * as THREE from 'three';
+
+export const controlProfiles = {
+    mouse: { rotateSpeed: 2.0, zoomSpeed: 2.0, panSpeed: 2.0, dampingFactor: 0.05, minDistance: 0, constrained: false },
+    touch: { rotateSpeed: 0.6, zoomSpeed: 0.9, panSpeed: 0.7, dampingFactor: 0.035, minDistance: 0.3, constrained: true }
+};
+
+export function createTouchControls({
+    camera,
+    controls,
+    domElement,
+    roomSize,
+    canStandAt = null,
+    verticalRange = null,       // () => { min, max } world heights; null uses roomSize
+    profile: override = null,   // 'mouse' or 'touch', null to follow the device
+    margin = 0.5                // closest the camera comes to a wall
+}) {
+    const touchControls = new THREE.EventDispatcher();
+    const query = window.matchMedia ? window.matchMedia('(pointer: coarse)') : null;
+    const lastPosition = camera.position.clone();
+    let profile = null;
+    let pointerType = null;
+
+    function isInside(x, z) {
+        if (canStandAt) return canStandAt(x, z, margin);
+        return Math.abs(x) <= roomSize.width / 2 - margin && Math.abs(z) <= roomSize.depth / 2 - margin;
+    }
+
+    function apply(name) {
+        if (!controlProfiles[name]) throw new Error(`Unknown control profile "${name}".`);
+        if (name === profile) return;
+        profile = name;
+        const settings = controlProfiles[name];
+        controls.rotateSpeed = settings.rotateSpeed;
+        controls.zoomSpeed = settings.zoomSpeed;
+        controls.panSpeed = settings.panSpeed;
+        controls.dampingFactor = settings.dampingFactor;
+        controls.minDistance = settings.minDistance;
+        // No farther out than from the middle of the room to a corner
+        controls.maxDistance = settings.constrained
+            ? Math.hypot(roomSize.width, roomSize.height, roomSize.depth) / 2
+            : Infinity;
+        lastPosition.copy(camera.position);
+        touchControls.dispatchEvent({ type: 'change', profile });
+    }
+
+    function refresh() {
+        if (override) apply(override);
+        else if (pointerType) apply(pointerType === 'touch' ? 'touch' : 'mouse');
+        else apply(query && query.matches ? 'touch' : 'mouse');
+    }
+
+    // Pens keep whatever was chosen before
+    function onPointerDown(event) {
+        if (event.pointerType !== 'touch' && event.pointerType !== 'mouse') return;
+        pointerType = event.pointerType;
+        if (!override) refresh();
+    }
+
+    // A profile name pins it, null follows the device again
+    function set(name) {
+        override = name;
+        refresh();
+    }
+
+    // Call after controls.update(). Only moves the user makes are held back;
+    // camera flights and tours (which disable the controls) go where they go.
+    function constrain() {
+        const position = camera.position;
+        if (!controlProfiles[profile].constrained || !controls.enabled) {
+            lastPosition.copy(position);
+            return;
+        }
+        const { min, max } = verticalRange ? verticalRange() : { min: -roomSize.height / 2, max: roomSize.height / 2 };
+        position.y = THREE.MathUtils.clamp(position.y, min + margin, max - margin);
+        // One axis at a time, so the camera slides along a wall instead of sticking to it
+        if (!isInside(position.x, position.z) && isInside(lastPosition.x, lastPosition.z)) {
+            if (isInside(position.x, lastPosition.z)) position.z = lastPosition.z;
+            else if (isInside(lastPosition.x, position.z)) position.x = lastPosition.x;
+            else position.copy(lastPosition).setY(position.y);
+        }
+        lastPosition.copy(position);
+    }
+
+    function dispose() {
+        if (query) query.removeEventListener('change', refresh);
+        domElement.removeEventListener('pointerdown', onPointerDown, true);
+    }
+
+    if (query) query.addEventListener('change', refresh);
+    // Capture, so the profile is in place before OrbitControls handles the same event
+    domElement.addEventListener('pointerdown', onPointerDown, true);
+    refresh();
+
+    Object.assign(touchControls, { set, constrain, dispose });
+    Object.defineProperties(touchControls, {
+        profile: { get: () => profile },
+        followsDevice: { get: () => override === null }
+    });
+    return touchControls;
+}
@@ -0,0 +1,227 @@
+// ===================================
+//            TWEAK PANEL
+// ===================================
+// A lil-gui panel for tuning the look live: tone mapping and exposure, bloom,
+// every registered light and material. G toggles it. The current settings
+// export to a JSON preset and import back:
+//
+//   {
+//       "toneMapping": { "output": true, "mode": "ACESFilmic", "exposure": 1.2 },
+//       "bloom": { "strength": 1.3, "radius": 0.6, "threshold": 0.05 },
+//       "lights": { "monitorLight": { "intensity": 100, "color": "#03e9f4", "distance": 15 } },
+//       "materials": { "desk": { "color": "#222328", "roughness": 0.33, "metalness": 0 } }
+//   }
+//
+// Presets may list only what they change. Colors are sRGB hex strings, as in
+// the room document and the themes.
+import * as THREE from 'three';
+import GUI from 'three/addons/libs/lil-gui.module.min.js';
+import { downloadBlob } from './capture.js';
+
+export const toneMappingModes = {
+    None: THREE.NoToneMapping,
+    Linear: THREE.LinearToneMapping,
+    Reinhard: THREE.ReinhardToneMapping,
+    Cineon: THREE.CineonToneMapping,
+    ACESFilmic: THREE.ACESFilmicToneMapping,
+    AgX: THREE.AgXToneMapping,
+    Neutral: THREE.NeutralToneMapping
+};
+
+// Exposes a THREE.Color as a hex string property lil-gui can edit
+function hexProxy(color) {
+    return {
+        get color() { return `#${color.getHexString()}`; },
+        set color(value) { color.set(value); }
+    };
+}
+
+export function createTweakPanel({
+    renderer,
+    bloomPass,
+    outputPass,
+    lights = {},
+    materials = {},
+    visible = false,
+    toggleKey = 'KeyG',
+    keyTarget = document,
+    container = null            // an element to hold the panel instead of the page's top right corner
+}) {
+    const panel = new THREE.EventDispatcher();
+    const gui = new GUI({ title: 'Tweaks', container: container || undefined });
+    if (container) gui.domElement.classList.add('tweak-panel');
+    let shown = visible;
+    gui.show(shown);
+
+    const registeredLights = new Map();
+    const registeredMaterials = new Map();
+
+    // --- Tone mapping ---
+    // The output pass applies tone mapping, exposure and the sRGB conversion
+    // to the composer's result; with it off the image is shown as rendered, so
+    // choosing a mode or exposure switches it on.
+    const toneMapping = {
+        get mode() { return Object.keys(toneMappingModes).find(key => toneMappingModes[key] === renderer.toneMapping) || 'None'; },
+        set mode(value) { renderer.toneMapping = toneMappingModes[value] ?? THREE.NoToneMapping; }
+    };
+    const toneFolder = gui.addFolder('Tone mapping');
+    const outputController = outputPass ? toneFolder.add(outputPass, 'enabled').name('output pass') : null;
+    function enableOutput() {
+        if (!outputPass || outputPass.enabled) return;
+        outputPass.enabled = true;
+        outputController.updateDisplay();
+    }
+    toneFolder.add(toneMapping, 'mode', Object.keys(toneMappingModes)).onChange(enableOutput);
+    toneFolder.add(renderer, 'toneMappingExposure', 0, 4, 0.01).name('exposure').onChange(enableOutput);
+
+    // --- Bloom ---
+    const bloomFolder = gui.addFolder('Bloom');
+    bloomFolder.add(bloomPass, 'strength', 0, 4, 0.01);
+    bloomFolder.add(bloomPass, 'radius', 0, 1.5, 0.01);
+    bloomFolder.add(bloomPass, 'threshold', 0, 1, 0.001);
+
+    // --- Lights ---
+    const lightsFolder = gui.addFolder('Lights');
+    function addLight(name, light) {
+        const folder = lightsFolder.addFolder(name).close();
+        const max = Math.max(light.intensity * 4, 2);
+        folder.add(light, 'intensity', 0, max, max / 400);
+        folder.addColor(hexProxy(light.color), 'color');
+        if ('distance' in light) folder.add(light, 'distance', 0, 60, 0.1).name('range');
+        registeredLights.set(name, light);
+    }
+
+    // --- Materials ---
+    const materialsFolder = gui.addFolder('Materials').close();
+    function addMaterial(name, material) {
+        if (!material.color) return;
+        const folder = materialsFolder.addFolder(name).close();
+        folder.addColor(hexProxy(material.color), 'color');
+        if ('roughness' in material) folder.add(material, 'roughness', 0, 1, 0.01);
+        if ('metalness' in material) folder.add(material, 'metalness', 0, 1, 0.01);
+        registeredMaterials.set(name, material);
+    }
+
+    Object.entries(lights).forEach(([name, light]) => addLight(name, light));
+    Object.entries(materials).forEach(([name, material]) => addMaterial(name, material));
+
+    // --- Presets ---
+    function getPreset() {
+        const preset = {
+            toneMapping: { mode: toneMapping.mode, exposure: renderer.toneMappingExposure },
+            bloom: { strength: bloomPass.strength, radius: bloomPass.radius, threshold: bloomPass.threshold },
+            lights: {},
+            materials: {}
+        };
+        if (outputPass) preset.toneMapping.output = outputPass.enabled;
+        registeredLights.forEach((light, name) => {
+            preset.lights[name] = { intensity: light.intensity, color: `#${light.color.getHexString()}` };
+            if ('distance' in light) preset.lights[name].distance = light.distance;
+        });
+        registeredMaterials.forEach((material, name) => {
+            const settings = { color: `#${material.color.getHexString()}` };
+            if ('roughness' in material) settings.roughness = material.roughness;
+            if ('metalness' in material) settings.metalness = material.metalness;
+            preset.materials[name] = settings;
+        });
+        return preset;
+    }
+
+    function applyPreset(preset) {
+        if (!preset || typeof preset !== 'object') throw new Error('A preset must be a JSON object.');
+        const tone = preset.toneMapping || {};
+        if (tone.mode !== undefined) {
+            if (!(tone.mode in toneMappingModes)) console.warn(`Unknown tone mapping "${tone.mode}" in preset.`);
+            else toneMapping.mode = tone.mode;
+        }
+        if (tone.exposure !== undefined) renderer.toneMappingExposure = tone.exposure;
+        // A preset that tone maps without saying whether the output pass is on wants it on
+        if (tone.output !== undefined && outputPass) outputPass.enabled = tone.output;
+        else if (tone.mode !== undefined || tone.exposure !== undefined) enableOutput();
+        ['strength', 'radius', 'threshold'].forEach(key => {
+            if (preset.bloom && preset.bloom[key] !== undefined) bloomPass[key] = preset.bloom[key];
+        });
+        Object.entries(preset.lights || {}).forEach(([name, settings]) => {
+            const light = registeredLights.get(name);
+            if (!light) return console.warn(`Preset sets unknown light "${name}".`);
+            if (settings.intensity !== undefined) light.intensity = settings.intensity;
+            if (settings.color !== undefined) light.color.set(settings.color);
+            if (settings.distance !== undefined && 'distance' in light) light.distance = settings.distance;
+        });
+        Object.entries(preset.materials || {}).forEach(([name, settings]) => {
+            const material = registeredMaterials.get(name);
+            if (!material) return console.warn(`Preset sets unknown material "${name}".`);
+            if (settings.color !== undefined) material.color.set(settings.color);
+            if (settings.roughness !== undefined && 'roughness' in material) material.roughness = settings.roughness;
+            if (settings.metalness !== undefined && 'metalness' in material) material.metalness = settings.metalness;
+        });
+        refresh(true);
+        panel.dispatchEvent({ type: 'change', preset });
+    }
+
+    function exportPreset(filename = 'scifi-room-preset.json') {
+        const blob = new Blob([JSON.stringify(getPreset(), null, 4)], { type: 'application/json' });
+        downloadBlob(blob, filename);
+    }
+
+    // Opens a file picker and applies the chosen preset
+    function importPreset() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                applyPreset(JSON.parse(await file.text()));
+            } catch (error) {
+                console.warn(`Could not import preset ${file.name}.`, error);
+            }
+        });
+        input.click();
+    }
+
+    const presetActions = { export: () => exportPreset(), import: importPreset };
+    const presetFolder = gui.addFolder('Preset');
+    presetFolder.add(presetActions, 'export').name('export JSON');
+    presetFolder.add(presetActions, 'import').name('import JSON');
+
+    // Shows values changed from elsewhere (a theme crossfade, a preset); skipped while hidden
+    function refresh(force = false) {
+        if (!shown && !force) return;
+        gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+    }
+
+    function toggle(force) {
+        shown = force === undefined ? !shown : force;
+        gui.show(shown);
+        if (shown) refresh();
+    }
+
+    function onKeyDown(event) {
+        if (event.code !== toggleKey || event.repeat || event.ctrlKey || event.metaKey) return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target && event.target.tagName)) return;
+        toggle();
+    }
+    keyTarget.addEventListener('keydown', onKeyDown);
+
+    function dispose() {
+        keyTarget.removeEventListener('keydown', onKeyDown);
+        gui.destroy();
+    }
+
+    Object.assign(panel, {
+        gui,
+        addLight,
+        addMaterial,
+        getPreset,
+        applyPreset,
+        exportPreset,
+        importPreset,
+        refresh,
+        toggle,
+        dispose
+    });
+    Object.defineProperty(panel, 'visible', { get: () => shown });
+    return panel;
+}
@@ -0,0 +1,180 @@
+// ===================================
+//        FIRST-PERSON WALK MODE
+// ===================================
+// Pointer-lock mouse look with WASD movement at eye height. The player is a
+// circle on the floor plane that is kept inside the room and out of the
+// footprints of the colliders (desk, chair, ...). Press F to toggle, Escape
+// (which releases the pointer lock) goes back to orbiting. With connected
+// rooms, `canStandAt(x, z, radius)` replaces the room bounds so the player can
+// walk through open doors (see roomNetwork.js).
+import * as THREE from 'three';
+import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+
+const moveKeys = {
+    KeyW: 'forward', ArrowUp: 'forward',
+    KeyS: 'backward', ArrowDown: 'backward',
+    KeyA: 'left', ArrowLeft: 'left',
+    KeyD: 'right', ArrowRight: 'right'
+};
+
+export function createWalkMode({
+    camera,
+    domElement,
+    orbitControls,
+    roomSize,
+    colliders = [],
+    canStandAt = null,
+    eyeHeight = 3.4,
+    radius = 0.4,
+    speed = 4,
+    toggleKey = 'KeyF',
+    keyTarget = document,
+    hintParent = document.body
+}) {
+    const pointerLock = new PointerLockControls(camera, domElement);
+    const pressed = { forward: false, backward: false, left: false, right: false, run: false };
+    const footprints = [];
+    const forward = new THREE.Vector3();
+    const right = new THREE.Vector3();
+    const step = new THREE.Vector3();
+    let active = false;
+
+    const hint = document.createElement('div');
+    hint.className = 'walk-hint';
+    hint.textContent = 'Walk mode: WASD to move, Shift to run, mouse to look, Esc to leave';
+    hint.hidden = true;
+    hintParent.appendChild(hint);
+
+    // --- Collision ---
+    // Colliders are flattened to XZ boxes grown by the player radius, so a
+    // point test against them is the same as a circle test against the originals.
+    function refreshFootprints() {
+        footprints.length = 0;
+        colliders.forEach(object => {
+            if (!object) return;
+            const box = new THREE.Box3().setFromObject(object);
+            if (box.isEmpty()) return;
+            box.expandByScalar(radius);
+            footprints.push(box);
+        });
+    }
+
+    function isInside(x, z) {
+        if (canStandAt) return canStandAt(x, z, radius);
+        const halfWidth = roomSize.width / 2 - radius;
+        const halfDepth = roomSize.depth / 2 - radius;
+        return x >= -halfWidth && x <= halfWidth && z >= -halfDepth && z <= halfDepth;
+    }
+
+    function isBlocked(x, z) {
+        if (!isInside(x, z)) return true;
+        return footprints.some(box => x > box.min.x && x < box.max.x && z > box.min.z && z < box.max.z);
+    }
+
+    // Moves one axis at a time so the player slides along whatever blocks them
+    function moveBy(dx, dz) {
+        const position = camera.position;
+        if (!isBlocked(position.x + dx, position.z)) position.x += dx;
+        if (!isBlocked(position.x, position.z + dz)) position.z += dz;
+    }
+
+    // Pulls a starting position that is out of bounds back into the room
+    function clampIntoRoom() {
+        const position = camera.position;
+        position.y = -roomSize.height / 2 + eyeHeight;
+        if (canStandAt && canStandAt(position.x, position.z, radius)) return;
+        position.x = THREE.MathUtils.clamp(position.x, -roomSize.width / 2 + radius, roomSize.width / 2 - radius);
+        position.z = THREE.MathUtils.clamp(position.z, -roomSize.depth / 2 + radius, roomSize.depth / 2 - radius);
+    }
+
+    // --- Mode switching ---
+    function enter() {
+        if (active) return;
+        active = true;
+        orbitControls.enabled = false;
+        refreshFootprints();
+        clampIntoRoom();
+        // Level the view so WASD moves along the floor the way the player is facing
+        camera.getWorldDirection(forward);
+        forward.y = 0;
+        if (forward.lengthSq() > 0) camera.lookAt(step.copy(camera.position).add(forward));
+        hint.hidden = false;
+        pointerLock.lock();
+    }
+
+    function exit() {
+        if (!active) return;
+        active = false;
+        Object.keys(pressed).forEach(key => { pressed[key] = false; });
+        hint.hidden = true;
+        if (pointerLock.isLocked) pointerLock.unlock();
+        // Orbit around a point a little way ahead, so the view doesn't jump
+        camera.getWorldDirection(forward);
+        orbitControls.target.copy(camera.position).addScaledVector(forward, 5);
+        orbitControls.enabled = true;
+        orbitControls.update();
+    }
+
+    function toggle() {
+        if (active) exit();
+        else enter();
+    }
+
+    function update(delta) {
+        if (!active) return;
+        const x = Number(pressed.right) - Number(pressed.left);
+        const z = Number(pressed.forward) - Number(pressed.backward);
+        if (x === 0 && z === 0) return;
+        camera.getWorldDirection(forward);
+        forward.y = 0;
+        forward.normalize();
+        right.crossVectors(forward, camera.up).normalize();
+        step.set(0, 0, 0).addScaledVector(forward, z).addScaledVector(right, x).normalize();
+        step.multiplyScalar(speed * (pressed.run ? 2 : 1) * delta);
+        moveBy(step.x, step.z);
+    }
+
+    // --- Input ---
+    function onKeyDown(event) {
+        if (event.target.closest && event.target.closest('input, textarea, select')) return;
+        if (event.code === toggleKey && !event.repeat) {
+            toggle();
+            return;
+        }
+        if (!active) return;
+        if (moveKeys[event.code]) pressed[moveKeys[event.code]] = true;
+        if (event.key === 'Shift') pressed.run = true;
+    }
+
+    function onKeyUp(event) {
+        if (moveKeys[event.code]) pressed[moveKeys[event.code]] = false;
+        if (event.key === 'Shift') pressed.run = false;
+    }
+
+    // Escape is swallowed by the browser to release the lock, so leave on unlock instead
+    function onUnlock() {
+        exit();
+    }
+
+    keyTarget.addEventListener('keydown', onKeyDown);
+    keyTarget.addEventListener('keyup', onKeyUp);
+    pointerLock.addEventListener('unlock', onUnlock);
+
+    function dispose() {
+        exit();
+        keyTarget.removeEventListener('keydown', onKeyDown);
+        keyTarget.removeEventListener('keyup', onKeyUp);
+        pointerLock.removeEventListener('unlock', onUnlock);
+        pointerLock.dispose();
+        hint.remove();
+    }
+
+    return {
+        enter,
+        exit,
+        toggle,
+        update,
+        dispose,
+        get isActive() { return active; }
+    };
+}
@@ -0,0 +1,183 @@
+// ===================================
+//       VIEW THROUGH THE WINDOW
+// ===================================
+// Renders another scene (the solar system) into an offscreen target and shows
+// it through the window mesh like a portal. The outside camera mirrors the
+// room camera's pose relative to the window, placed at `anchor` in the other
+// scene, so walking past the window gives real parallax: near planets shift
+// against the far stars. The window shader samples the target in screen
+// space, which makes any window shape work.
+//
+// The outside scene runs on its own clock (`view.clock`, a scheduler that can
+// be paused or sped up without touching the room) and animates at
+// `updateRate` frames per second. Camera moves always re-render it, so the
+// parallax never lags; nothing is rendered while the window is off-screen.
+import * as THREE from 'three';
+import { createScheduler } from './scheduler.js';
+
+const _size = new THREE.Vector2();
+const _relative = new THREE.Matrix4();
+const _outside = new THREE.Matrix4();
+const _scale = new THREE.Vector3();
+const _frustum = new THREE.Frustum();
+const _viewProjection = new THREE.Matrix4();
+
+function createPortalMaterial(texture) {
+    return new THREE.ShaderMaterial({
+        name: 'windowView',
+        uniforms: {
+            map: { value: texture },
+            resolution: { value: new THREE.Vector2(1, 1) },
+            brightness: { value: 1 }
+        },
+        vertexShader: /* glsl */`
+            void main() {
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: /* glsl */`
+            uniform sampler2D map;
+            uniform vec2 resolution;
+            uniform float brightness;
+            void main() {
+                gl_FragColor = vec4(texture2D(map, gl_FragCoord.xy / resolution).rgb * brightness, 1.0);
+            }
+        `
+    });
+}
+
+export function createWindowView({
+    renderer,
+    camera,
+    window: windowMesh,
+    content,                                      // { scene, update(delta) }
+    anchor = { position: [0, 40, 320], target: [0, 0, 0] },
+    scale = 8,                                    // outside units per room unit of camera movement
+    resolution = 0.5,                             // fraction of the screen resolution
+    updateRate = 30,                              // outside animation frames per second, 0 for every frame
+    near = 0.5,
+    far = 6000
+}) {
+    const target = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+    const material = createPortalMaterial(target.texture);
+    const originalMaterial = windowMesh.material;
+    windowMesh.material = material;
+
+    const outsideCamera = new THREE.PerspectiveCamera(camera.fov, camera.aspect, near, far);
+    const anchorMatrix = new THREE.Matrix4();
+    const clock = createScheduler({ maxDelta: 1 });
+    if (content.update) clock.add(content.update);
+
+    const lastCamera = new THREE.Matrix4();
+    const lastProjection = new THREE.Matrix4();
+    const lastWindow = new THREE.Matrix4();
+    let stale = true;
+    let pending = 0;
+    let enabled = true;
+
+    function setAnchor({ position, target: lookAt }) {
+        const eye = new THREE.Vector3().fromArray(position);
+        // Matrix4.lookAt points -z at the target, the way a camera looks
+        anchorMatrix.lookAt(eye, new THREE.Vector3().fromArray(lookAt), THREE.Object3D.DEFAULT_UP).setPosition(eye);
+        stale = true;
+    }
+    setAnchor(anchor);
+
+    // The screen-space lookup needs the size of whatever the room is being drawn into
+    windowMesh.onBeforeRender = currentRenderer => {
+        const current = currentRenderer.getRenderTarget();
+        if (current) material.uniforms.resolution.value.set(current.width, current.height);
+        else currentRenderer.getDrawingBufferSize(material.uniforms.resolution.value);
+    };
+
+    function hasMoved() {
+        return !lastCamera.equals(camera.matrixWorld) ||
+            !lastProjection.equals(camera.projectionMatrix) ||
+            !lastWindow.equals(windowMesh.matrixWorld);
+    }
+
+    function isOnScreen() {
+        _viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        _frustum.setFromProjectionMatrix(_viewProjection);
+        return _frustum.intersectsObject(windowMesh);
+    }
+
+    function render() {
+        renderer.getDrawingBufferSize(_size);
+        _size.set(Math.max(1, Math.floor(_size.x * resolution)), Math.max(1, Math.floor(_size.y * resolution)));
+        if (target.width !== _size.x || target.height !== _size.y) target.setSize(_size.x, _size.y);
+
+        // Room camera in window space, movement scaled up, then placed at the anchor
+        _relative.copy(windowMesh.matrixWorld).invert().multiply(camera.matrixWorld);
+        _relative.decompose(outsideCamera.position, outsideCamera.quaternion, _scale);
+        outsideCamera.position.multiplyScalar(scale);
+        outsideCamera.updateMatrix();
+        _outside.multiplyMatrices(anchorMatrix, outsideCamera.matrix);
+        _outside.decompose(outsideCamera.position, outsideCamera.quaternion, _scale);
+        outsideCamera.fov = camera.fov;
+        outsideCamera.aspect = camera.aspect;
+        outsideCamera.updateProjectionMatrix();
+
+        const previous = renderer.getRenderTarget();
+        renderer.setRenderTarget(target);
+        renderer.render(content.scene, outsideCamera);
+        renderer.setRenderTarget(previous);
+
+        lastCamera.copy(camera.matrixWorld);
+        lastProjection.copy(camera.projectionMatrix);
+        lastWindow.copy(windowMesh.matrixWorld);
+        stale = false;
+    }
+
+    // Fed the room's wall-clock delta every frame, before the room renders
+    function update(delta) {
+        if (!enabled) return;
+        pending += delta;
+        const due = updateRate <= 0 || pending >= 1 / updateRate - 0.002;
+        if (due) {
+            clock.advance(pending);
+            pending = 0;
+            stale = true;
+        }
+        // Navigation has moved the camera this frame, but the renderer hasn't updated it yet
+        camera.updateMatrixWorld();
+        windowMesh.updateWorldMatrix(true, false);
+        if (!stale && !hasMoved()) return;
+        if (!isOnScreen()) {
+            stale = true;
+            return;
+        }
+        render();
+    }
+
+    function setEnabled(value) {
+        enabled = value;
+        windowMesh.material = enabled ? material : originalMaterial;
+        stale = true;
+    }
+
+    function dispose() {
+        setEnabled(false);
+        windowMesh.onBeforeRender = () => {};
+        target.dispose();
+        material.dispose();
+        if (content.dispose) content.dispose();
+    }
+
+    return {
+        clock,
+        camera: outsideCamera,
+        renderTarget: target,
+        material,
+        update,
+        render,
+        setAnchor,
+        setEnabled,
+        dispose,
+        get enabled() { return enabled; },
+        get updateRate() { return updateRate; },
+        set updateRate(value) { updateRate = Math.max(0, value); },
+        get scale() { return scale; },
+        set scale(value) { scale = value; stale = true; }
+    };
+}
@@ -3,6 +3,8 @@
 // ===================================
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { createAssetManager } from './js/assetManager.js';
+import { createLoadingScreen } from './js/loadingScreen.js';
 
 // ===================================
 //      SCENE, CAMERA, RENDERER
@@ -46,23 +48,12 @@ scene.add(sunLight);
 // ===================================
 //             TEXTURES
 // ===================================
-const textureLoader = new THREE.TextureLoader();
-function loadTexture(url, fallbackColor = 0x888888) {
-    return textureLoader.load(
-        url,
-        undefined,
-        undefined,
-        () => {
-            // fallback: 1x1 color canvas
-            const cvs = document.createElement('canvas');
-            cvs.width = cvs.height = 1;
-            const ctx = cvs.getContext('2d');
-            ctx.fillStyle = '#' + new THREE.Color(fallbackColor).getHexString();
-            ctx.fillRect(0, 0, 1, 1);
-            return new THREE.CanvasTexture(cvs);
-        }
-    );
-}
+// Local bundle first, then remote, at a resolution the device can hold (see
+// js/assetManager.js). Materials are tinted with the planet's color, so a
+// texture that fails to load falls back to white and leaves just that tint.
+const assets = createAssetManager({ renderer });
+createLoadingScreen({ assets });
+const loadTexture = file => assets.loadTexture(file, { fallbackColor: 0xffffff });
 
 // ===================================
 //      PLANET DATA AND SUN
@@ -75,7 +66,7 @@ const planetParams = [
         color: 0xaaaaaa,
         orbitSpeed: 0.008,
         rotationSpeed: 0.018,
-        texture: loadTexture('https://www.solarsystemscope.com/textures/download/8k_mercury.jpg')
+        texture: loadTexture('mercury.jpg')
     },
     {
         name: "Venus",
@@ -84,7 +75,7 @@ const planetParams = [
         color: 0xffcccc,
         orbitSpeed: 0.007,
         rotationSpeed: 0.008,
-        texture: loadTexture('https://www.solarsystemscope.com/textures/download/8k_venus_surface.jpg')
+        texture: loadTexture('venus_surface.jpg')
     },
     {
         name: "Earth",
@@ -93,7 +84,7 @@ const planetParams = [
         color: 0x3399ff,
         orbitSpeed: 0.006,
         rotationSpeed: 0.016,
-        texture: loadTexture('https://www.solarsystemscope.com/textures/download/8k_earth_daymap.jpg')
+        texture: loadTexture('earth_daymap.jpg')
     },
     {
         name: "Mars",
@@ -102,7 +93,7 @@ const planetParams = [
         color: 0xff5500,
         orbitSpeed: 0.005,
         rotationSpeed: 0.014,
-        texture: loadTexture('https://www.solarsystemscope.com/textures/download/8k_mars.jpg')
+        texture: loadTexture('mars.jpg')
     },
     {
         name: "Jupiter",
@@ -111,7 +102,7 @@ const planetParams = [
         color: 0xe3b679,
         orbitSpeed: 0.0025,
         rotationSpeed: 0.03,
-        texture: loadTexture('https://www.solarsystemscope.com/textures/download/8k_jupiter.jpg')
+        texture: loadTexture('jupiter.jpg')
     },
     {
         name: "Saturn",
@@ -120,7 +111,7 @@ const planetParams = [
         color: 0xf6e289,
         orbitSpeed: 0.0018,
         rotationSpeed: 0.025,
-        texture: loadTexture('https://www.solarsystemscope.com/textures/download/8k_saturn.jpg'),
+        texture: loadTexture('saturn.jpg'),
         // We'll add rings below
     },
     {
@@ -130,7 +121,7 @@ const planetParams = [
         color: 0x00eaff,
         orbitSpeed: 0.0009,
         rotationSpeed: 0.019,
-        texture: loadTexture('https://www.solarsystemscope.com/textures/download/8k_uranus.jpg')
+        texture: loadTexture('uranus.jpg')
     },
     {
         name: "Neptune",
@@ -139,7 +130,7 @@ const planetParams = [
         color: 0x1a06aa,
         orbitSpeed: 0.0007,
         rotationSpeed: 0.017,
-        texture: loadTexture('https://www.solarsystemscope.com/textures/download/8k_neptune.jpg')
+        texture: loadTexture('neptune.jpg')
     },
     {
         name: "Pluto",
@@ -148,7 +139,7 @@ const planetParams = [
         color: 0xc8d1ff,
         orbitSpeed: 0.0005,
         rotationSpeed: 0.012,
-        texture: loadTexture('https://www.solarsystemscope.com/textures/download/8k_pluto.jpg')
+        texture: loadTexture('pluto.jpg')
     }
 ];
 const planetGroups = [];
@@ -158,7 +149,7 @@ const planetGroups = [];
 // ===================================
 const sunGeometry = new THREE.SphereGeometry(18, 64, 64);
 const sunMaterial = new THREE.MeshBasicMaterial({
-    map: loadTexture('https://www.solarsystemscope.com/textures/download/8k_sun.jpg')
+    map: loadTexture('sun.jpg')
 });
 const sun = new THREE.Mesh(sunGeometry, sunMaterial);
 scene.add(sun);
@@ -199,7 +190,7 @@ planetParams.forEach((p, idx) => {
     if (p.name === 'Saturn') {
         const ringGeometry = new THREE.RingGeometry(p.size + 2, p.size + 7, 64);
         const ringMaterial = new THREE.MeshBasicMaterial({
-            map: loadTexture('https://www.solarsystemscope.com/textures/download/8k_saturn_ring_alpha.png'),
+            map: loadTexture('saturn_ring_alpha.png'),
             side: THREE.DoubleSide,
             transparent: true,
             opacity: 0.85